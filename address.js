@@ -0,0 +1,256 @@
+import { rpc, rpcBatch } from "./rpc.js";
+import { FOUNDATION_ADDRESS } from "./consensus.js";
+import { exactAmount } from "./amounts.js";
+import { ApiError, badRequest } from "./errors.js";
+import { log } from "./utils.js";
+
+// Largest height range a single history request may cover
+export const MAX_HEIGHT_RANGE = 100000;
+export const DEFAULT_HEIGHT_RANGE = 10000;
+
+// Largest height range a single UTXO request may cover; every output the
+// address received in the range is checked with gettxout
+export const MAX_UTXO_RANGE = 10000;
+
+// gettxout calls per JSON-RPC batch
+const UTXO_BATCH = 250;
+
+/**
+ * Address index availability: null until probed, then true or false
+ */
+const AddressIndex = {
+  available: null
+};
+
+/**
+ * Probe the node for -addressindex support
+ * A transient failure (node down) leaves the state unknown so the next call
+ * probes again; any other RPC error means the index is not enabled.
+ * @returns {Promise<boolean|null>} Availability, or null if the node could not be reached
+ */
+export async function detectAddressIndex() {
+  try {
+    await rpc("getaddressbalance", [{ addresses: [FOUNDATION_ADDRESS] }], { retries: 0 });
+    AddressIndex.available = true;
+  } catch (err) {
+    if (err.transient) {
+      log(`Address index probe failed, will retry: ${err.message}`, "warn");
+      return null;
+    }
+    AddressIndex.available = false;
+    log("Address index not available; start the node with -addressindex to enable /address endpoints", "warn");
+  }
+  return AddressIndex.available;
+}
+
+/**
+ * Check whether the address index is available, probing if still unknown
+ * @returns {Promise<boolean|null>} Availability, or null if unknown
+ */
+export async function isAddressIndexAvailable() {
+  if (AddressIndex.available === null) {
+    return detectAddressIndex();
+  }
+  return AddressIndex.available;
+}
+
+/**
+ * Ensure the address index is available
+ * @throws {ApiError} 501 when the node runs without -addressindex
+ */
+export async function requireAddressIndex() {
+  const available = await isAddressIndexAvailable();
+  if (available === false) {
+    throw new ApiError(501, "Not implemented", "Address endpoints are unavailable: the node is not running with -addressindex");
+  }
+}
+
+/**
+ * Validate an address with the node
+ * @param {string} address - Meowcoin address
+ * @throws {ApiError} 400 for invalid addresses
+ */
+export async function validateAddress(address) {
+  if (!/^[1-9A-HJ-NP-Za-km-z]{25,40}$/.test(address)) {
+    throw badRequest(`Invalid address: ${address}`);
+  }
+  const result = await rpc("validateaddress", [address]);
+  if (!result || !result.isvalid) {
+    throw badRequest(`Invalid address: ${address}`);
+  }
+}
+
+/**
+ * Resolve an optional height range against the current tip
+ * @param {{from?: number, to?: number}} range - Requested range
+ * @param {number} [maxRange] - Largest number of blocks allowed
+ * @returns {Promise<{from: number, to: number}>} Inclusive height range
+ * @throws {ApiError} 400 for inverted or oversized ranges
+ */
+async function resolveHeightRange({ from, to }, maxRange = MAX_HEIGHT_RANGE) {
+  const tip = await rpc("getblockcount");
+  const end = Math.min(to ?? tip, tip);
+  const start = from ?? Math.max(0, end - DEFAULT_HEIGHT_RANGE + 1);
+
+  if (start > end) {
+    throw badRequest("from must not be greater than to");
+  }
+  if (end - start + 1 > maxRange) {
+    throw badRequest(`Height range may cover at most ${maxRange} blocks`);
+  }
+  return { from: start, to: end };
+}
+
+/**
+ * Slice a list into a page
+ * @param {Array} items - Full list
+ * @param {number} page - Page number, starting at 1
+ * @param {number} limit - Items per page
+ * @returns {Object} Pagination fields and the page of items
+ */
+function paginate(items, page, limit) {
+  return {
+    total: items.length,
+    page,
+    limit,
+    pages: Math.max(1, Math.ceil(items.length / limit)),
+    items: items.slice((page - 1) * limit, page * limit)
+  };
+}
+
+/**
+ * Get an address balance summary
+ * @param {string} address - Meowcoin address
+ * @returns {Promise<Object>} Balance, received and sent totals
+ */
+export async function getAddressSummary(address) {
+  await requireAddressIndex();
+  await validateAddress(address);
+
+  const result = await rpc("getaddressbalance", [{ addresses: [address] }]);
+  return {
+    address,
+    balance: exactAmount(BigInt(result.balance)),
+    received: exactAmount(BigInt(result.received)),
+    sent: exactAmount(BigInt(result.received) - BigInt(result.balance))
+  };
+}
+
+/**
+ * Get an address's transaction history within a height range
+ * Deltas are netted per transaction, newest first.
+ * @param {string} address - Meowcoin address
+ * @param {Object} options - Range and pagination options
+ * @returns {Promise<Object>} Page of transactions
+ */
+export async function getAddressTransactions(address, { from, to, page, limit }) {
+  await requireAddressIndex();
+  await validateAddress(address);
+
+  const range = await resolveHeightRange({ from, to });
+  const deltas = await rpc("getaddressdeltas", [{
+    addresses: [address],
+    start: range.from,
+    end: range.to
+  }]);
+
+  const byTxid = new Map();
+  for (const delta of deltas) {
+    const entry = byTxid.get(delta.txid) || { txid: delta.txid, height: delta.height, sats: 0n };
+    entry.sats += BigInt(delta.satoshis);
+    byTxid.set(delta.txid, entry);
+  }
+
+  const txs = [...byTxid.values()]
+    .sort((a, b) => b.height - a.height)
+    .map(tx => ({ txid: tx.txid, height: tx.height, delta: exactAmount(tx.sats) }));
+  const { items, ...pagination } = paginate(txs, page, limit);
+
+  return {
+    address,
+    from: range.from,
+    to: range.to,
+    ...pagination,
+    txs: items
+  };
+}
+
+/**
+ * Get an address's unspent outputs created within a height range
+ * getaddressutxos has no range parameter and returns every output at once,
+ * which for the foundation address is one per block. Instead, the outputs
+ * the address received in the range are read from getaddressdeltas and
+ * checked with gettxout, so the work is bounded by the range.
+ * @param {string} address - Meowcoin address
+ * @param {Object} options - Range and pagination options
+ * @returns {Promise<Object>} Page of unspent outputs
+ * @throws {ApiError} 400 for inverted or oversized ranges
+ */
+export async function getAddressUtxos(address, { from, to, page, limit }) {
+  await requireAddressIndex();
+  await validateAddress(address);
+
+  const range = await resolveHeightRange({ from, to }, MAX_UTXO_RANGE);
+  const received = (await rpc("getaddressdeltas", [{
+    addresses: [address],
+    start: range.from,
+    end: range.to
+  }])).filter(delta => delta.satoshis > 0);
+
+  const unspent = [];
+  for (let i = 0; i < received.length; i += UTXO_BATCH) {
+    const chunk = received.slice(i, i + UTXO_BATCH);
+    const outputs = await rpcBatch(chunk.map(delta => ["gettxout", [delta.txid, delta.index, false]]));
+    chunk.forEach((delta, j) => {
+      if (outputs[j]) unspent.push({ delta, script: outputs[j].scriptPubKey?.hex ?? null });
+    });
+  }
+
+  const utxos = unspent
+    .sort((a, b) => b.delta.height - a.delta.height)
+    .map(({ delta, script }) => ({
+      txid: delta.txid,
+      vout: delta.index,
+      height: delta.height,
+      script_hex: script,
+      ...exactAmount(BigInt(delta.satoshis))
+    }));
+
+  const totalSats = utxos.reduce((sum, u) => sum + u.value, 0n);
+  const { items, ...pagination } = paginate(utxos, page, limit);
+
+  return {
+    address,
+    from: range.from,
+    to: range.to,
+    total_value: exactAmount(totalSats),
+    ...pagination,
+    utxos: items
+  };
+}
+
+/**
+ * Get an address's unconfirmed mempool deltas
+ * @param {string} address - Meowcoin address
+ * @returns {Promise<Object>} Mempool entries
+ */
+export async function getAddressMempool(address) {
+  await requireAddressIndex();
+  await validateAddress(address);
+
+  const entries = await rpc("getaddressmempool", [{ addresses: [address] }]);
+  const pendingSats = entries.reduce((sum, e) => sum + BigInt(e.satoshis), 0n);
+
+  return {
+    address,
+    pending: exactAmount(pendingSats),
+    entries: entries.map(e => ({
+      txid: e.txid,
+      index: e.index,
+      timestamp: e.timestamp,
+      prev_txid: e.prevtxid ?? null,
+      prev_vout: e.prevout ?? null,
+      delta: exactAmount(BigInt(e.satoshis))
+    }))
+  };
+}
@@ -0,0 +1,81 @@
+import crypto from "crypto";
+import { formatSats } from "./consensus.js";
+import { badRequest } from "./errors.js";
+
+/**
+ * Amount rendering
+ *
+ * Monetary fields are BigInt satoshis from the point they are computed until
+ * the response is written. Every BigInt in a response body is an amount, and
+ * is rendered here in the unit and format the client asked for, so there is
+ * no float arithmetic anywhere between the node and the client.
+ */
+
+export const AMOUNT_UNITS = ["mewc", "sat"];
+export const AMOUNT_FORMATS = ["number", "string"];
+
+/**
+ * Parse the unit and amounts query parameters
+ * @param {Object} query - Express query object
+ * @returns {{unit: string, amounts: string}} Amount options
+ * @throws {ApiError} 400 for unknown values
+ */
+export function parseAmountOptions(query) {
+  const unit = query.unit ?? "mewc";
+  const amounts = query.amounts ?? "number";
+  if (!AMOUNT_UNITS.includes(unit)) {
+    throw badRequest(`unit must be one of: ${AMOUNT_UNITS.join(", ")}`);
+  }
+  if (!AMOUNT_FORMATS.includes(amounts)) {
+    throw badRequest(`amounts must be one of: ${AMOUNT_FORMATS.join(", ")}`);
+  }
+  return { unit, amounts };
+}
+
+/**
+ * Format an amount as text
+ * MEWC strings always carry 8 decimal places; MEWC numbers drop trailing
+ * zeros so they read like the float values the API has always returned.
+ * @param {bigint} sats - Amount in satoshis
+ * @param {{unit: string, amounts: string}} options - Amount options
+ * @returns {string} Amount, e.g. "8361822924.945867", "8361822924.94586700" or "836182292494586700"
+ */
+export function formatAmount(sats, { unit, amounts }) {
+  if (unit === "sat") return sats.toString();
+  const fixed = formatSats(sats);
+  return amounts === "string" ? fixed : fixed.replace(/\.?0+$/, "");
+}
+
+/**
+ * Describe an amount in both units
+ * `value` is rendered in the requested unit like any other amount, while
+ * `value_sat` always gives the exact satoshis as a string.
+ * @param {bigint} sats - Amount in satoshis
+ * @returns {{value: bigint, value_sat: string}} Amount
+ */
+export function exactAmount(sats) {
+  return { value: sats, value_sat: sats.toString() };
+}
+
+/**
+ * Serialize a response body, rendering amounts in the requested unit
+ * Numbers are written as exact JSON literals, so totals beyond the safe
+ * integer range lose nothing on the wire. JSON.stringify leaves a placeholder
+ * string for each amount; the placeholder carries a random marker drawn for
+ * this call, so strings in the body (asset names, webhook payloads) cannot
+ * imitate one and be rewritten into a number.
+ * @param {any} body - Response body, with amounts as BigInt satoshis
+ * @param {{unit: string, amounts: string}} options - Amount options
+ * @returns {string} JSON text
+ */
+export function stringifyWithAmounts(body, options) {
+  const marker = crypto.randomBytes(12).toString("hex");
+  const json = JSON.stringify(body, (key, value) => (typeof value === "bigint" ? `\u0000${marker}:${value}` : value));
+  if (json === undefined) return "";
+
+  const placeholder = new RegExp(`"\\\\u0000${marker}:(-?\\d+)"`, "g");
+  return json.replace(placeholder, (match, sats) => {
+    const text = formatAmount(BigInt(sats), options);
+    return options.amounts === "string" ? `"${text}"` : text;
+  });
+}
@@ -0,0 +1,266 @@
+import { rpc } from "./rpc.js";
+import { validateAddress } from "./address.js";
+import { ApiError, badRequest, notFound } from "./errors.js";
+
+// Asset names, including prefixes and tags, are limited to 32 characters
+const MAX_NAME_LENGTH = 32;
+const MIN_ROOT_LENGTH = 3;
+
+const ROOT_CHARACTERS = /^[A-Z0-9._]+$/;
+const UNIQUE_TAG_CHARACTERS = /^[-A-Za-z0-9@$%&*()[\]{}_.?:]+$/;
+const CHANNEL_CHARACTERS = /^[A-Za-z0-9_]+$/;
+const DOUBLE_PUNCTUATION = /[._]{2,}/;
+const EDGE_PUNCTUATION = /^[._]|[._]$/;
+
+const RESERVED_NAMES = ["MEWC", "MEOWCOIN", "RVN", "RAVEN", "RAVENCOIN"];
+
+// Asset names searched with listassets accept a trailing wildcard
+const SEARCH_PATTERN = /^[A-Z0-9._/#$~^!-]*$/;
+
+/**
+ * Check a root, sub or qualifier name segment
+ * @param {string} segment - Name segment without its prefix
+ * @param {number} minLength - Minimum segment length
+ * @returns {boolean} True if the segment is valid
+ */
+function isValidSegment(segment, minLength) {
+  return segment.length >= minLength &&
+    ROOT_CHARACTERS.test(segment) &&
+    !DOUBLE_PUNCTUATION.test(segment) &&
+    !EDGE_PUNCTUATION.test(segment);
+}
+
+/**
+ * Check a root name, which must also avoid reserved names
+ * @param {string} root - Root asset name
+ * @returns {boolean} True if the root name is valid
+ */
+function isValidRoot(root) {
+  return isValidSegment(root, MIN_ROOT_LENGTH) && !RESERVED_NAMES.includes(root);
+}
+
+/**
+ * Check a root name followed by any number of /SUB segments
+ * @param {string} name - Asset path such as "CAT/KITTEN"
+ * @returns {boolean} True if every segment is valid
+ */
+function isValidAssetPath(name) {
+  const [root, ...subs] = name.split("/");
+  return isValidRoot(root) && subs.every(sub => isValidSegment(sub, 1));
+}
+
+/**
+ * Classify and validate an asset name
+ * Examples:
+ *   "CAT" -> "root", "CAT/KITTEN" -> "sub", "CAT#1" -> "unique",
+ *   "CAT!" -> "owner", "CAT~NEWS" -> "channel", "CAT^VOTE" -> "vote",
+ *   "#KYC" -> "qualifier", "#KYC/#US" -> "sub_qualifier", "$CAT" -> "restricted"
+ * @param {string} name - Asset name
+ * @returns {string} Asset type
+ * @throws {ApiError} 400 if the name is not a valid asset name
+ */
+export function classifyAssetName(name) {
+  const invalid = () => badRequest(`Invalid asset name: ${name}`);
+
+  if (!name || name.length > MAX_NAME_LENGTH) throw invalid();
+
+  if (name.startsWith("#")) {
+    const parts = name.split("/");
+    if (!parts.every(part => part.startsWith("#") && isValidSegment(part.slice(1), parts.length === 1 ? MIN_ROOT_LENGTH : 1))) {
+      throw invalid();
+    }
+    return parts.length === 1 ? "qualifier" : "sub_qualifier";
+  }
+
+  if (name.startsWith("$")) {
+    if (!isValidRoot(name.slice(1))) throw invalid();
+    return "restricted";
+  }
+
+  if (name.endsWith("!")) {
+    if (!isValidAssetPath(name.slice(0, -1))) throw invalid();
+    return "owner";
+  }
+
+  for (const [delimiter, type, tagPattern] of [
+    ["#", "unique", UNIQUE_TAG_CHARACTERS],
+    ["~", "channel", CHANNEL_CHARACTERS],
+    ["^", "vote", ROOT_CHARACTERS]
+  ]) {
+    const at = name.indexOf(delimiter);
+    if (at === -1) continue;
+
+    const base = name.slice(0, at);
+    const tag = name.slice(at + 1);
+    if (!isValidAssetPath(base) || !tag || !tagPattern.test(tag)) throw invalid();
+    return type;
+  }
+
+  if (!isValidAssetPath(name)) throw invalid();
+  return name.includes("/") ? "sub" : "root";
+}
+
+/**
+ * Error for lookups that need the node's asset index
+ * @returns {ApiError} 501 error
+ */
+function assetIndexUnavailable() {
+  return new ApiError(501, "Not implemented", "Asset holder and address lookups are unavailable: the node is not running with -assetindex");
+}
+
+/**
+ * Call an RPC that depends on -assetindex
+ * Without the index the node answers with an explanatory string instead of
+ * a result, so both that and index errors are reported as unavailable.
+ * @param {string} method - RPC method
+ * @param {Array} params - RPC params
+ * @returns {Promise<any>} RPC result
+ * @throws {ApiError} 501 when the asset index is not enabled
+ */
+async function assetIndexRpc(method, params) {
+  let result;
+  try {
+    result = await rpc(method, params);
+  } catch (err) {
+    if (/assetindex/i.test(err.message)) throw assetIndexUnavailable();
+    throw err;
+  }
+  if (typeof result === "string" && /assetindex/i.test(result)) {
+    throw assetIndexUnavailable();
+  }
+  return result;
+}
+
+/**
+ * Normalize getassetdata or listassets verbose output
+ * @param {Object} data - Asset data from the node
+ * @returns {Object} Normalized asset
+ */
+function normalizeAsset(data) {
+  const asset = {
+    name: data.name,
+    type: classifyAssetNameSafe(data.name),
+    supply: data.amount,
+    units: data.units,
+    reissuable: Boolean(data.reissuable),
+    has_ipfs: Boolean(data.has_ipfs),
+    ipfs_hash: data.has_ipfs ? (data.ipfs_hash ?? null) : null
+  };
+  if (data.txid_hash) asset.txid_hash = data.txid_hash;
+  if (data.verifier_string) asset.verifier_string = data.verifier_string;
+  if (data.block_height !== undefined) asset.block_height = data.block_height;
+  return asset;
+}
+
+/**
+ * Classify a name returned by the node without failing on unexpected formats
+ * @param {string} name - Asset name
+ * @returns {string} Asset type, or "unknown"
+ */
+function classifyAssetNameSafe(name) {
+  try {
+    return classifyAssetName(name);
+  } catch (err) {
+    return "unknown";
+  }
+}
+
+/**
+ * Search issued assets
+ * @param {Object} options - Search and pagination options
+ * @param {string} [options.search] - Name prefix to match
+ * @param {number} options.page - Page number, starting at 1
+ * @param {number} options.limit - Assets per page
+ * @returns {Promise<Object>} Page of assets
+ */
+export async function listAssets({ search, page, limit }) {
+  const prefix = (search || "").toUpperCase();
+  if (!SEARCH_PATTERN.test(prefix) || prefix.length > MAX_NAME_LENGTH) {
+    throw badRequest("search may only contain asset name characters");
+  }
+
+  // Ask for one extra entry to know whether another page exists
+  const result = await rpc("listassets", [`${prefix}*`, true, limit + 1, (page - 1) * limit]);
+  const assets = Object.values(result || {}).map(normalizeAsset);
+
+  return {
+    search: prefix || null,
+    page,
+    limit,
+    has_more: assets.length > limit,
+    assets: assets.slice(0, limit)
+  };
+}
+
+/**
+ * Get an asset's metadata and holder count
+ * @param {string} name - Asset name
+ * @returns {Promise<Object>} Asset details
+ */
+export async function getAsset(name) {
+  const type = classifyAssetName(name);
+
+  const data = await rpc("getassetdata", [name]);
+  if (!data) {
+    throw notFound(`Asset ${name} not found`);
+  }
+
+  // The holder count is optional metadata; it needs -assetindex
+  const holders = await assetIndexRpc("listaddressesbyasset", [name, true]).catch(err => {
+    if (err instanceof ApiError) return null;
+    throw err;
+  });
+
+  return {
+    ...normalizeAsset(data),
+    type,
+    holders: typeof holders === "number" ? holders : null
+  };
+}
+
+/**
+ * Get the addresses holding an asset
+ * @param {string} name - Asset name
+ * @param {Object} options - Pagination options
+ * @param {number} options.page - Page number, starting at 1
+ * @param {number} options.limit - Holders per page
+ * @returns {Promise<Object>} Page of holders
+ */
+export async function getAssetHolders(name, { page, limit }) {
+  classifyAssetName(name);
+
+  const data = await rpc("getassetdata", [name]);
+  if (!data) {
+    throw notFound(`Asset ${name} not found`);
+  }
+
+  const result = await assetIndexRpc("listaddressesbyasset", [name, false, limit + 1, (page - 1) * limit]);
+  const holders = Object.entries(result || {})
+    .map(([address, balance]) => ({ address, balance }));
+
+  return {
+    name,
+    page,
+    limit,
+    has_more: holders.length > limit,
+    holders: holders.slice(0, limit)
+  };
+}
+
+/**
+ * Get the asset balances held by an address
+ * @param {string} address - Meowcoin address
+ * @returns {Promise<Object>} Asset balances
+ */
+export async function getAddressAssets(address) {
+  await validateAddress(address);
+
+  const result = await assetIndexRpc("listassetbalancesbyaddress", [address]);
+
+  return {
+    address,
+    assets: Object.entries(result || {})
+      .map(([name, balance]) => ({ name, type: classifyAssetNameSafe(name), balance }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  };
+}
@@ -0,0 +1,428 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { rpc, rpcBatch } from "./rpc.js";
+import { detectAlgo } from "./consensus.js";
+import { log, shouldLog } from "./utils.js";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const INDEX_FILE = path.join(DATA_DIR, "blocks.ndjson");
+
+// Number of blocks kept behind the tip (~7 days @ 1 min blocks)
+const INDEX_DEPTH = parseInt(process.env.INDEX_DEPTH || 10080, 10);
+const INDEX_POLL_MS = parseInt(process.env.INDEX_POLL_MS || 15000, 10);
+
+// Older blocks fetched per sync pass, so tip following is never starved
+const BACKFILL_BATCH = 500;
+
+// Blocks requested per JSON-RPC batch
+const FETCH_BATCH = 25;
+
+// JSON-RPC error code getblockhash returns for a height above the tip
+const RPC_INVALID_PARAMETER = -8;
+
+// Bumped when record fields change; older records are dropped and re-fetched
+const RECORD_VERSION = 2;
+
+/**
+ * In-memory view of the on-disk block index
+ * Records are keyed by height; the file is an append-only log of JSON lines
+ * where the last record for a height wins.
+ */
+const Index = {
+  blocks: new Map(),
+  low: null,
+  high: null,
+  deadRecords: 0,
+  syncPromise: null,
+  resyncRequested: false,
+  timer: null
+};
+
+/**
+ * Ensure data directory exists
+ */
+function ensureDataDir() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  return DATA_DIR;
+}
+
+/**
+ * Recompute the indexed height range after insertions or removals
+ */
+function updateRange() {
+  if (Index.blocks.size === 0) {
+    Index.low = null;
+    Index.high = null;
+    return;
+  }
+  let low = Infinity;
+  let high = -Infinity;
+  for (const height of Index.blocks.keys()) {
+    if (height < low) low = height;
+    if (height > high) high = height;
+  }
+  Index.low = low;
+  Index.high = high;
+}
+
+/**
+ * Load the index from disk
+ */
+function loadIndex() {
+  ensureDataDir();
+  if (!fs.existsSync(INDEX_FILE)) return;
+
+  const lines = fs.readFileSync(INDEX_FILE, "utf8").split("\n");
+  for (const line of lines) {
+    if (!line) continue;
+    try {
+      const record = JSON.parse(line);
+      if (record.deleted) {
+        Index.blocks.delete(record.height);
+      } else if (record.v !== RECORD_VERSION) {
+        Index.deadRecords++;
+      } else {
+        if (Index.blocks.has(record.height)) Index.deadRecords++;
+        Index.blocks.set(record.height, record);
+      }
+    } catch (err) {
+      // A torn final line after a crash is expected; skip it
+      Index.deadRecords++;
+    }
+  }
+  updateRange();
+
+  log(`Block index loaded: ${Index.blocks.size} blocks (${Index.low ?? "-"}..${Index.high ?? "-"})`);
+}
+
+/**
+ * Append records to the index file
+ * @param {Array<Object>} records - Block records or deletion markers
+ */
+async function appendRecords(records) {
+  if (records.length === 0) return;
+  const payload = records.map(r => JSON.stringify(r)).join("\n") + "\n";
+  await fs.promises.appendFile(INDEX_FILE, payload);
+}
+
+/**
+ * Rewrite the index file with only live records
+ */
+async function compactIndex() {
+  const heights = [...Index.blocks.keys()].sort((a, b) => a - b);
+  const payload = heights.map(h => JSON.stringify(Index.blocks.get(h))).join("\n");
+  const tmpFile = `${INDEX_FILE}.tmp`;
+
+  await fs.promises.writeFile(tmpFile, payload ? payload + "\n" : "");
+  await fs.promises.rename(tmpFile, INDEX_FILE);
+  Index.deadRecords = 0;
+
+  if (shouldLog("debug")) {
+    log(`Block index compacted to ${heights.length} blocks`);
+  }
+}
+
+/**
+ * Reduce a verbose getblock result to an index record
+ * @param {Object} block - getblock result with verbosity 2
+ * @returns {Object} Block record
+ */
+function toBlockRecord(block) {
+  if (!block || !Array.isArray(block.tx) || block.tx.length === 0) {
+    throw new Error("Invalid response from getblock");
+  }
+
+  const coinbase = block.tx[0];
+  return {
+    v: RECORD_VERSION,
+    height: block.height,
+    hash: block.hash,
+    prev: block.previousblockhash || null,
+    time: block.time,
+    version: block.version,
+    algo: detectAlgo(block.version),
+    difficulty: block.difficulty,
+    tx_count: block.nTx ?? block.tx.length,
+    coinbase_script: coinbase.vin?.[0]?.coinbase ?? null,
+    coinbase: (coinbase.vout || []).map(out => ({
+      value: out.value,
+      address: out.scriptPubKey?.addresses?.[0] ?? null,
+      type: out.scriptPubKey?.type ?? null
+    }))
+  };
+}
+
+/**
+ * Fetch blocks from the node using batched RPC calls
+ * @param {Array<number>} heights - Block heights, in the order to return them
+ * @returns {Promise<Array<Object>>} Block records
+ */
+async function fetchBlockRecords(heights) {
+  const records = [];
+  for (let i = 0; i < heights.length; i += FETCH_BATCH) {
+    const chunk = heights.slice(i, i + FETCH_BATCH);
+    const hashes = await rpcBatch(chunk.map(h => ["getblockhash", [h]]));
+    const blocks = await rpcBatch(hashes.map(hash => ["getblock", [hash, 2]]));
+    records.push(...blocks.map(toBlockRecord));
+  }
+  return records;
+}
+
+/**
+ * Remove blocks above the last height that still matches the node's chain
+ * @returns {Promise<number>} Number of blocks removed
+ */
+async function rollbackToFork() {
+  const removed = [];
+
+  try {
+    while (Index.high !== null) {
+      const stored = Index.blocks.get(Index.high);
+      let nodeHash = null;
+      try {
+        nodeHash = await rpc("getblockhash", [Index.high]);
+      } catch (err) {
+        // Only "height out of range" means the node's tip is below this
+        // block after a shorter reorg; anything else aborts the sync pass
+        if (err.code !== RPC_INVALID_PARAMETER) throw err;
+      }
+      if (nodeHash === stored.hash) break;
+
+      Index.blocks.delete(Index.high);
+      removed.push({ height: Index.high, deleted: true });
+      updateRange();
+    }
+  } finally {
+    if (removed.length > 0) {
+      await appendRecords(removed);
+      Index.deadRecords += removed.length * 2;
+      log(`Block index rolled back ${removed.length} blocks to height ${Index.high ?? "-"}`, "warn");
+    }
+  }
+
+  return removed.length;
+}
+
+/**
+ * Follow the chain tip forward, backfill older blocks and prune beyond the depth
+ */
+async function syncIndex() {
+  const tip = await rpc("getblockcount");
+  const targetLow = Math.max(0, tip - INDEX_DEPTH + 1);
+
+  await rollbackToFork();
+
+  // Start a fresh index at the tip so recent data is available first
+  if (Index.high === null || Index.high < targetLow - 1) {
+    if (Index.blocks.size > 0) {
+      Index.blocks.clear();
+      await compactIndex();
+    }
+    const [record] = await fetchBlockRecords([tip]);
+    Index.blocks.set(tip, record);
+    updateRange();
+    await appendRecords([record]);
+  }
+
+  // Forward: catch up to the tip, verifying each block links to the last
+  const forward = [];
+  try {
+    for (let from = Index.high + 1; from <= tip; from += FETCH_BATCH) {
+      const heights = [];
+      for (let h = from; h <= Math.min(tip, from + FETCH_BATCH - 1); h++) heights.push(h);
+
+      let reorged = false;
+      for (const record of await fetchBlockRecords(heights)) {
+        const parent = Index.blocks.get(record.height - 1);
+        if (parent && record.prev !== parent.hash) {
+          // Tip moved under us; the next pass rolls back to the fork point
+          log(`Block index detected a chain change at height ${record.height}`, "warn");
+          reorged = true;
+          break;
+        }
+        Index.blocks.set(record.height, record);
+        Index.high = record.height;
+        forward.push(record);
+      }
+      if (reorged) break;
+    }
+  } finally {
+    // Persist whatever was fetched before a failure
+    await appendRecords(forward);
+  }
+
+  // Backward: fill in older blocks down to the retention depth
+  const backward = [];
+  try {
+    const stopAt = Math.max(targetLow, Index.low - BACKFILL_BATCH);
+    for (let to = Index.low - 1; to >= stopAt; to -= FETCH_BATCH) {
+      const heights = [];
+      for (let h = to; h >= Math.max(stopAt, to - FETCH_BATCH + 1); h--) heights.push(h);
+
+      for (const record of await fetchBlockRecords(heights)) {
+        Index.blocks.set(record.height, record);
+        Index.low = record.height;
+        backward.push(record);
+      }
+    }
+  } finally {
+    await appendRecords(backward);
+  }
+
+  // Prune blocks that fell out of the retention window
+  let pruned = 0;
+  for (const height of Index.blocks.keys()) {
+    if (height < targetLow) {
+      Index.blocks.delete(height);
+      pruned++;
+    }
+  }
+  if (pruned > 0) {
+    Index.deadRecords += pruned;
+    updateRange();
+  }
+
+  if (Index.deadRecords > INDEX_DEPTH / 2) {
+    await compactIndex();
+  }
+
+  if (shouldLog("debug") && (forward.length > 0 || backward.length > 0)) {
+    log(`Block index synced: +${forward.length} new, +${backward.length} backfilled (${Index.low}..${Index.high})`);
+  }
+}
+
+/**
+ * Run a sync pass, or queue another one if a pass is already running
+ * @returns {Promise<void>} Resolves when the index has caught up
+ */
+function runSync() {
+  if (Index.syncPromise) {
+    Index.resyncRequested = true;
+    return Index.syncPromise;
+  }
+
+  Index.syncPromise = (async () => {
+    try {
+      do {
+        Index.resyncRequested = false;
+        await syncIndex();
+      } while (Index.resyncRequested);
+    } catch (err) {
+      log(`Block index sync failed: ${err.message}`, "error");
+    } finally {
+      Index.syncPromise = null;
+    }
+  })();
+
+  return Index.syncPromise;
+}
+
+/**
+ * Sync the index immediately, e.g. when a new tip is seen
+ * @returns {Promise<void>} Resolves when the index has caught up
+ */
+export function syncIndexNow() {
+  return runSync();
+}
+
+/**
+ * Load the on-disk index and start following the chain tip
+ */
+export function startIndexer() {
+  if (Index.timer) return;
+  loadIndex();
+  runSync();
+  Index.timer = setInterval(runSync, INDEX_POLL_MS);
+}
+
+/**
+ * Get an indexed block record
+ * @param {number} height - Block height
+ * @returns {Object|null} Block record or null if not indexed
+ */
+export function getIndexedBlock(height) {
+  return Index.blocks.get(height) || null;
+}
+
+/**
+ * Get indexed block records within a height range
+ * @param {number} fromHeight - First height (inclusive)
+ * @param {number} toHeight - Last height (inclusive)
+ * @returns {Array<Object>} Block records, oldest first
+ */
+export function getIndexedBlocks(fromHeight, toHeight) {
+  const blocks = [];
+  for (let height = Math.max(fromHeight, Index.low ?? 0); height <= Math.min(toHeight, Index.high ?? -1); height++) {
+    const record = Index.blocks.get(height);
+    if (record) blocks.push(record);
+  }
+  return blocks;
+}
+
+/**
+ * Get block records within a height range, fetching heights outside the
+ * index from the node without storing them
+ * @param {number} fromHeight - First height (inclusive)
+ * @param {number} toHeight - Last height (inclusive)
+ * @returns {Promise<Array<Object>>} Block records, oldest first
+ */
+export async function getBlockRecords(fromHeight, toHeight) {
+  const missing = [];
+  for (let height = fromHeight; height <= toHeight; height++) {
+    if (!Index.blocks.has(height)) missing.push(height);
+  }
+
+  const fetched = new Map();
+  for (const record of await fetchBlockRecords(missing)) {
+    fetched.set(record.height, record);
+  }
+
+  // A rollback while fetching can drop indexed heights; skip rather than fail
+  const blocks = [];
+  for (let height = fromHeight; height <= toHeight; height++) {
+    const record = Index.blocks.get(height) || fetched.get(height);
+    if (record) blocks.push(record);
+  }
+  return blocks;
+}
+
+/**
+ * Get indexed block records with a timestamp at or after the given time
+ * @param {number} sinceTime - Unix timestamp in seconds
+ * @returns {Array<Object>} Block records, oldest first
+ */
+export function getIndexedBlocksSince(sinceTime) {
+  const blocks = [];
+  if (Index.high === null) return blocks;
+
+  // Block times are not strictly monotonic, so allow a little slack
+  for (let height = Index.high; height >= Index.low; height--) {
+    const record = Index.blocks.get(height);
+    if (!record) continue;
+    if (record.time < sinceTime - 7200) break;
+    if (record.time >= sinceTime) blocks.push(record);
+  }
+  return blocks.reverse();
+}
+
+/**
+ * Get the indexed height range
+ * @returns {{low: number|null, high: number|null, count: number, syncing: boolean}} Index status
+ */
+export function getIndexStatus() {
+  return {
+    low: Index.low,
+    high: Index.high,
+    count: Index.blocks.size,
+    syncing: Boolean(Index.syncPromise)
+  };
+}
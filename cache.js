@@ -1,45 +1,205 @@
+import dotenv from "dotenv";
+import { log, shouldLog } from "./utils.js";
+import { cacheRequests } from "./metrics.js";
+
+dotenv.config();
+
+const DEFAULT_TTL_MS = parseInt(process.env.CACHE_TTL_MS || 60000, 10);
+const MAX_STALE_MS = parseInt(process.env.CACHE_MAX_STALE_MS || 600000, 10);
+const FALLBACK_ENABLED = process.env.FALLBACK_ENABLED !== "false";
+
 /**
  * In-memory cache for API responses
- * Provides fallback values when RPC calls fail
+ * Each entry tracks its own fetch time and TTL. Stale entries are served
+ * while a background refresh runs, and provide fallback values when RPC
+ * calls fail.
  */
 export const Cache = {
-  data: {
-    total_supply: null,
-    circulating_supply: null,
-    block_reward: null,
-    reward_breakdown: null,
-    mining_info: null,
-    height: null,
-    miner_reward: null,
-    foundation_reward: null,
-  },
-  updated: 0
+  entries: new Map(),
+  inflight: new Map(),
+  warmups: new Map()
 };
 
 /**
- * Check if cache is still valid based on TTL
- * @param {number} ttlMs - Time to live in milliseconds
- * @returns {boolean} True if cache is still valid
+ * Check if a cache entry is still valid based on its TTL
+ * @param {Object} entry - Cache entry
+ * @returns {boolean} True if entry is still valid
+ */
+export function isEntryFresh(entry) {
+  return Boolean(entry) && !entry.invalidated && (Date.now() - entry.fetchedAt) < entry.ttl;
+}
+
+/**
+ * Get the age of a cache entry
+ * @param {string} key - Cache key
+ * @returns {number|null} Age in milliseconds, or null if not cached
+ */
+export function getCacheAge(key) {
+  const entry = Cache.entries.get(key);
+  return entry ? Date.now() - entry.fetchedAt : null;
+}
+
+/**
+ * Get the age of the oldest cache entry
+ * @returns {number|null} Age in milliseconds, or null if cache is empty
  */
-export function isCacheValid(ttlMs) {
-  if (Cache.updated === 0) return false;
-  return (Date.now() - Cache.updated) < ttlMs;
+export function getMaxCacheAge() {
+  let oldest = null;
+  for (const entry of Cache.entries.values()) {
+    if (oldest === null || entry.fetchedAt < oldest) oldest = entry.fetchedAt;
+  }
+  return oldest === null ? null : Date.now() - oldest;
 }
 
 /**
- * Clear the cache
+ * Get a cached value without fetching or refreshing it
+ * @param {string} key - Cache key
+ * @returns {any} Cached value, or undefined if not cached
  */
-export function clearCache() {
-  Cache.data = {
-    total_supply: null,
-    circulating_supply: null,
-    block_reward: null,
-    reward_breakdown: null,
-    mining_info: null,
-    height: null,
-    miner_reward: null,
-    foundation_reward: null,
-  };
-  Cache.updated = 0;
+export function peekCache(key) {
+  return Cache.entries.get(key)?.value;
 }
 
+/**
+ * Clear one key, or the whole cache
+ * @param {string} [key] - Cache key
+ */
+export function clearCache(key) {
+  if (key === undefined) {
+    Cache.entries.clear();
+  } else {
+    Cache.entries.delete(key);
+  }
+}
+
+/**
+ * Fetch fresh data for a key, collapsing concurrent calls into one
+ * @param {string} key - Cache key
+ * @param {Function} fn - Async function to fetch fresh data
+ * @param {number} ttl - Time to live in milliseconds
+ * @param {boolean} [tipBound] - Invalidate the entry when the chain tip changes
+ * @returns {Promise<any>} Fresh data
+ */
+function refresh(key, fn, ttl, tipBound = false) {
+  if (Cache.inflight.has(key)) {
+    return Cache.inflight.get(key);
+  }
+
+  const promise = (async () => {
+    try {
+      const value = await fn();
+      Cache.entries.set(key, { value, fetchedAt: Date.now(), ttl, fn, tipBound, invalidated: false });
+
+      if (shouldLog("info")) {
+        const text = JSON.stringify(value, (name, v) => (typeof v === "bigint" ? v.toString() : v));
+        log(`Updated cache for ${key}: ${text}`);
+      }
+
+      return value;
+    } finally {
+      Cache.inflight.delete(key);
+    }
+  })();
+
+  Cache.inflight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Fetch data with caching and fallback
+ * Fresh entries are returned directly. Entries past their TTL but within
+ * CACHE_MAX_STALE_MS are returned immediately while a background refresh
+ * runs; older or missing entries wait for the refresh.
+ * @param {string} key - Cache key
+ * @param {Function} fn - Async function to fetch fresh data
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.ttl] - Time to live in milliseconds
+ * @param {boolean} [options.tipBound] - Invalidate the entry when the chain tip changes
+ * @param {number} [options.maxStale] - How long past its TTL an entry may still be served
+ * @returns {Promise<any>} Cached or fresh data
+ */
+export async function cachedFetch(key, fn, options = {}) {
+  const { ttl = DEFAULT_TTL_MS, tipBound = false, maxStale = MAX_STALE_MS } = options;
+  const entry = Cache.entries.get(key);
+  // Parameterised keys ("mining_info:3600") are counted under their prefix
+  const labels = { key: key.split(":")[0] };
+
+  if (isEntryFresh(entry)) {
+    if (shouldLog("debug")) {
+      log(`Cache hit for ${key}`);
+    }
+    cacheRequests.inc({ ...labels, result: "hit" });
+    return entry.value;
+  }
+
+  // Stale-while-revalidate
+  if (entry && (Date.now() - entry.fetchedAt) < ttl + maxStale) {
+    if (shouldLog("debug")) {
+      log(`Serving stale ${key} while refreshing`);
+    }
+    cacheRequests.inc({ ...labels, result: "stale" });
+    refresh(key, fn, ttl, tipBound).catch(err => {
+      log(`Background refresh failed for ${key}: ${err.message}`, "error");
+    });
+    return entry.value;
+  }
+
+  try {
+    const value = await refresh(key, fn, ttl, tipBound);
+    cacheRequests.inc({ ...labels, result: "miss" });
+    return value;
+  } catch (err) {
+    log(`RPC failure for ${key}: ${err.message}`, "error");
+
+    // Fallback to cached value if available
+    if (FALLBACK_ENABLED && entry) {
+      log(`Using cached fallback for ${key}`, "warn");
+      cacheRequests.inc({ ...labels, result: "fallback" });
+      return entry.value;
+    }
+
+    // No cache available, re-throw error
+    cacheRequests.inc({ ...labels, result: "error" });
+    throw err;
+  }
+}
+
+/**
+ * Keep an expensive key populated from startup onwards
+ * The key is fetched immediately and then refreshed on an interval slightly
+ * shorter than its TTL, so requests rarely find it cold or stale.
+ * @param {string} key - Cache key
+ * @param {Function} fn - Async function to fetch fresh data
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.ttl] - Time to live in milliseconds
+ * @param {boolean} [options.tipBound] - Invalidate the entry when the chain tip changes
+ */
+export function scheduleWarmup(key, fn, options = {}) {
+  const { ttl = DEFAULT_TTL_MS, tipBound = false } = options;
+  if (Cache.warmups.has(key)) return;
+
+  const run = () => refresh(key, fn, ttl, tipBound).catch(err => {
+    log(`Cache warm-up failed for ${key}: ${err.message}`, "warn");
+  });
+
+  run();
+  Cache.warmups.set(key, setInterval(run, Math.max(1000, ttl * 0.9)));
+}
+
+/**
+ * Invalidate every entry that depends on the chain tip and refresh it
+ * Invalidated entries keep serving their old value until the refresh lands.
+ * @returns {number} Number of entries invalidated
+ */
+export function invalidateTipBound() {
+  let count = 0;
+  for (const [key, entry] of Cache.entries) {
+    if (!entry.tipBound) continue;
+    entry.invalidated = true;
+    count++;
+    refresh(key, entry.fn, entry.ttl, true).catch(err => {
+      log(`Refresh after new tip failed for ${key}: ${err.message}`, "warn");
+    });
+  }
+  return count;
+}
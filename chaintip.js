@@ -0,0 +1,174 @@
+import { EventEmitter } from "events";
+import dotenv from "dotenv";
+import { rpc, rpcBatch } from "./rpc.js";
+import { log } from "./utils.js";
+
+dotenv.config();
+
+const TIP_POLL_MS = parseInt(process.env.TIP_POLL_MS || 5000, 10);
+
+// Heights of the active chain remembered for reorg detection
+const REORG_WINDOW = 1000;
+
+// Reorg events kept for /chain/reorgs
+const MAX_REORG_EVENTS = 100;
+
+/**
+ * Emits "tip" when the best block changes and "reorg" when blocks that were
+ * previously on the active chain are replaced.
+ */
+export const chainEvents = new EventEmitter();
+
+/**
+ * Chain tip follower state
+ */
+const Chain = {
+  tip: null,
+  seen: new Map(),
+  tips: [],
+  reorgs: [],
+  polling: false,
+  timer: null
+};
+
+/**
+ * Forget seen heights that fell out of the reorg window
+ */
+function pruneSeen() {
+  const minHeight = Chain.tip.height - REORG_WINDOW;
+  for (const height of Chain.seen.keys()) {
+    if (height < minHeight) Chain.seen.delete(height);
+  }
+}
+
+/**
+ * Walk back from a new tip to the last block already seen on the active chain
+ * @param {Object} header - getblockheader result for the new tip
+ * @returns {Promise<{forkHeight: number, connected: Array<Object>}>} Common
+ *   ancestor height and the newly connected blocks, newest first
+ */
+async function findForkPoint(header) {
+  const connected = [];
+  const lowestSeen = Math.min(...Chain.seen.keys());
+  let cursor = header;
+
+  while (cursor) {
+    // A matching hash, or a height below anything seen, means nothing earlier was replaced
+    if (Chain.seen.get(cursor.height) === cursor.hash || cursor.height < lowestSeen) {
+      return { forkHeight: cursor.height, connected };
+    }
+
+    connected.push({ height: cursor.height, hash: cursor.hash });
+
+    if (!cursor.previousblockhash) break;
+    cursor = await rpc("getblockheader", [cursor.previousblockhash]);
+  }
+
+  return { forkHeight: -1, connected };
+}
+
+/**
+ * Handle a change of best block hash
+ * @param {string} hash - New best block hash
+ */
+async function handleNewTip(hash) {
+  const header = await rpc("getblockheader", [hash]);
+  const newTip = { height: header.height, hash };
+
+  // First observation, or a jump too large to walk (node catching up), seeds the window
+  if (!Chain.tip || header.height - Chain.tip.height > REORG_WINDOW) {
+    const previous = Chain.tip;
+    Chain.tip = newTip;
+    Chain.seen.clear();
+    Chain.seen.set(newTip.height, hash);
+    chainEvents.emit("tip", { ...newTip, previous });
+    return;
+  }
+
+  const oldTip = Chain.tip;
+  const { forkHeight, connected } = await findForkPoint(header);
+  const depth = oldTip.height - forkHeight;
+
+  for (const height of [...Chain.seen.keys()]) {
+    if (height > forkHeight) Chain.seen.delete(height);
+  }
+  for (const block of connected) {
+    Chain.seen.set(block.height, block.hash);
+  }
+  Chain.tip = newTip;
+  pruneSeen();
+
+  if (depth > 0) {
+    const event = {
+      detected_at: new Date().toISOString(),
+      depth,
+      fork_height: forkHeight,
+      old_tip: oldTip,
+      new_tip: newTip
+    };
+    Chain.reorgs.unshift(event);
+    Chain.reorgs.length = Math.min(Chain.reorgs.length, MAX_REORG_EVENTS);
+
+    log(`Reorg detected: depth ${depth} at height ${forkHeight}, ${oldTip.hash} -> ${newTip.hash}`, "warn");
+    chainEvents.emit("reorg", event);
+  }
+
+  chainEvents.emit("tip", { ...newTip, previous: oldTip });
+}
+
+/**
+ * Poll the node for its best block hash and chain tips
+ */
+async function pollTip() {
+  if (Chain.polling) return;
+  Chain.polling = true;
+  try {
+    const [bestHash, tips] = await rpcBatch([
+      ["getbestblockhash"],
+      ["getchaintips"]
+    ]);
+    Chain.tips = Array.isArray(tips) ? tips : [];
+
+    if (!Chain.tip || Chain.tip.hash !== bestHash) {
+      await handleNewTip(bestHash);
+    }
+  } catch (err) {
+    log(`Chain tip poll failed: ${err.message}`, "error");
+  } finally {
+    Chain.polling = false;
+  }
+}
+
+/**
+ * Start following the chain tip
+ */
+export function startTipFollower() {
+  if (Chain.timer) return;
+  pollTip();
+  Chain.timer = setInterval(pollTip, TIP_POLL_MS);
+}
+
+/**
+ * Get the last seen best block
+ * @returns {{height: number, hash: string}|null} Chain tip or null before the first poll
+ */
+export function getChainTip() {
+  return Chain.tip;
+}
+
+/**
+ * Get the chain tips reported by the last getchaintips call
+ * @returns {Array<Object>} getchaintips result
+ */
+export function getChainTips() {
+  return Chain.tips;
+}
+
+/**
+ * Get recent reorg events, newest first
+ * @param {number} [limit] - Maximum number of events
+ * @returns {Array<Object>} Reorg events
+ */
+export function getReorgEvents(limit = MAX_REORG_EVENTS) {
+  return Chain.reorgs.slice(0, limit);
+}
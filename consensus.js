@@ -0,0 +1,142 @@
+/**
+ * Meowcoin consensus parameters and subsidy schedule
+ */
+
+export const COIN = 100000000;              // satoshis per MEWC
+export const INITIAL_SUBSIDY = 5000;        // MEWC
+export const HALVING_INTERVAL = 2100000;   // blocks (~4 years @ 1 min blocks)
+export const MAX_HALVINGS = 64;
+export const TARGET_BLOCK_TIME = 60;       // seconds, MeowPow and Scrypt combined
+
+export const FOUNDATION_ADDRESS = "MPyNGZSSZ4rbjkVJRLn3v64pMcktpEYJnU";
+
+// Block reward split
+export const MINER_PERCENTAGE = 60;
+export const FOUNDATION_PERCENTAGE = 40;
+
+/**
+ * Parse a MEWC amount into exact satoshis
+ * Works on the decimal text rather than multiplying floats, so amounts such as
+ * gettxoutsetinfo's total_amount convert without rounding drift. Digits beyond
+ * the eighth decimal place are rounded half away from zero.
+ * @param {number|string} amount - Amount in MEWC
+ * @returns {bigint} Amount in satoshis
+ * @throws {Error} If the amount is not a decimal number
+ */
+export function parseSats(amount) {
+  let text = String(amount).trim();
+  if (/e/i.test(text)) text = Number(text).toFixed(8);
+
+  const match = /^(-?)(\d+)(?:\.(\d*))?$/.exec(text);
+  if (!match) {
+    throw new Error(`Invalid amount: ${amount}`);
+  }
+  const [, sign, whole, fraction = ""] = match;
+
+  let sats = BigInt(whole) * BigInt(COIN) + BigInt(fraction.slice(0, 8).padEnd(8, "0"));
+  if (fraction.length > 8 && fraction[8] >= "5") sats += 1n;
+  return sign ? -sats : sats;
+}
+
+/**
+ * Convert a MEWC amount to integer satoshis
+ * @param {number|string} amount - Amount in MEWC
+ * @returns {number} Amount in satoshis; exact below Number.MAX_SAFE_INTEGER
+ */
+export function toSatoshis(amount) {
+  return Number(parseSats(amount));
+}
+
+/**
+ * Calculate block subsidy based on consensus rules
+ * @param {number} height - Block height
+ * @returns {number} Block subsidy in MEWC
+ */
+export function getBlockSubsidy(height) {
+  const halvings = Math.floor(height / HALVING_INTERVAL);
+  
+  // Cap at 64 halvings (like Bitcoin)
+  if (halvings >= MAX_HALVINGS) {
+    return 0;
+  }
+  
+  return INITIAL_SUBSIDY / Math.pow(2, halvings);
+}
+
+/**
+ * Calculate block subsidy in satoshis
+ * @param {number} height - Block height
+ * @returns {bigint} Block subsidy in satoshis
+ */
+export function getBlockSubsidySats(height) {
+  const halvings = Math.floor(height / HALVING_INTERVAL);
+  if (halvings >= MAX_HALVINGS) {
+    return 0n;
+  }
+  return (BigInt(INITIAL_SUBSIDY) * BigInt(COIN)) >> BigInt(halvings);
+}
+
+/**
+ * Split a reward between miner and foundation
+ * The foundation share is rounded down and the miner receives the remainder,
+ * so the two parts always add up to the full amount.
+ * @param {bigint} sats - Reward in satoshis
+ * @returns {{miner: bigint, foundation: bigint}} Shares in satoshis
+ */
+export function splitRewardSats(sats) {
+  const foundation = sats * BigInt(FOUNDATION_PERCENTAGE) / 100n;
+  return { miner: sats - foundation, foundation };
+}
+
+/**
+ * Format satoshis as an exact MEWC decimal string
+ * @param {bigint|number} sats - Amount in satoshis
+ * @returns {string} Amount in MEWC with 8 decimal places
+ */
+export function formatSats(sats) {
+  const value = BigInt(sats);
+  const negative = value < 0n;
+  const abs = negative ? -value : value;
+  const whole = abs / BigInt(COIN);
+  const fraction = (abs % BigInt(COIN)).toString().padStart(8, "0");
+  return `${negative ? "-" : ""}${whole}.${fraction}`;
+}
+
+/**
+ * Calculate the total subsidy issued by blocks 0..height (inclusive)
+ * @param {number} height - Block height
+ * @returns {bigint} Issued supply in satoshis
+ */
+export function getIssuedSupplySats(height) {
+  if (height < 0) return 0n;
+
+  const initial = BigInt(INITIAL_SUBSIDY) * BigInt(COIN);
+  const interval = BigInt(HALVING_INTERVAL);
+  const blocks = BigInt(height) + 1n;
+  let total = 0n;
+
+  for (let era = 0n; era < BigInt(MAX_HALVINGS); era++) {
+    const eraStart = era * interval;
+    if (eraStart >= blocks) break;
+
+    const eraBlocks = blocks - eraStart < interval ? blocks - eraStart : interval;
+    total += eraBlocks * (initial >> era);
+  }
+
+  return total;
+}
+
+/**
+ * Detect algorithm from block version using bitmasking
+ * @param {number} version - Block version number
+ * @returns {string} "meowpow", "scrypt", or "unknown"
+ */
+export function detectAlgo(version) {
+  const MASK = 0xFFFFFF00;
+  const MPW = 0x30090000; // MeowPow
+  const SCR = 0x30090100; // Scrypt
+  
+  if ((version & MASK) === MPW) return "meowpow";
+  if ((version & MASK) === SCR) return "scrypt";
+  return "unknown";
+}
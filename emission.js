@@ -0,0 +1,122 @@
+import { rpc } from "./rpc.js";
+import {
+  INITIAL_SUBSIDY,
+  HALVING_INTERVAL,
+  MAX_HALVINGS,
+  MINER_PERCENTAGE,
+  FOUNDATION_PERCENTAGE,
+  parseSats,
+  getBlockSubsidySats,
+  getIssuedSupplySats,
+  splitRewardSats
+} from "./consensus.js";
+import { getUtxoSetInfo } from "./supply.js";
+import { exactAmount } from "./amounts.js";
+
+// Height after which no further subsidy is ever issued
+export const LAST_SUBSIDY_HEIGHT = MAX_HALVINGS * HALVING_INTERVAL - 1;
+
+/**
+ * Calculate issued supply split between miners and the foundation
+ * @param {number} height - Block height (inclusive)
+ * @returns {{total: bigint, miner: bigint, foundation: bigint}} Issuance in satoshis
+ */
+export function getIssuedSplitSats(height) {
+  let miner = 0n;
+  let foundation = 0n;
+
+  for (let era = 0; era < MAX_HALVINGS; era++) {
+    const start = era * HALVING_INTERVAL;
+    if (start > height) break;
+
+    const blocks = BigInt(Math.min(height, start + HALVING_INTERVAL - 1) - start + 1);
+    const split = splitRewardSats(getBlockSubsidySats(start));
+    miner += split.miner * blocks;
+    foundation += split.foundation * blocks;
+  }
+
+  return { total: miner + foundation, miner, foundation };
+}
+
+/**
+ * Build the full emission schedule, one entry per halving era
+ * @returns {Promise<Object>} Schedule with per-era subsidy and cumulative issuance
+ */
+export async function getEmissionSchedule() {
+  const height = await rpc("getblockcount");
+  const eras = [];
+  let cumulative = 0n;
+
+  for (let era = 0; era < MAX_HALVINGS; era++) {
+    const startHeight = era * HALVING_INTERVAL;
+    const subsidy = getBlockSubsidySats(startHeight);
+    if (subsidy === 0n) break;
+
+    const { miner, foundation } = splitRewardSats(subsidy);
+    const issuance = subsidy * BigInt(HALVING_INTERVAL);
+    cumulative += issuance;
+
+    eras.push({
+      era,
+      start_height: startHeight,
+      end_height: startHeight + HALVING_INTERVAL - 1,
+      block_subsidy: exactAmount(subsidy),
+      miner_reward: exactAmount(miner),
+      foundation_reward: exactAmount(foundation),
+      era_issuance: exactAmount(issuance),
+      cumulative_issuance: exactAmount(cumulative)
+    });
+  }
+
+  return {
+    initial_subsidy: INITIAL_SUBSIDY,
+    halving_interval: HALVING_INTERVAL,
+    miner_percentage: MINER_PERCENTAGE,
+    foundation_percentage: FOUNDATION_PERCENTAGE,
+    current_height: height,
+    current_era: Math.floor(height / HALVING_INTERVAL),
+    max_supply: exactAmount(cumulative),
+    eras
+  };
+}
+
+/**
+ * Calculate the theoretical issued supply at a height
+ * @param {number} height - Block height
+ * @returns {Promise<Object>} Issued supply and subsidy at that height
+ */
+export async function getSupplyAtHeight(height) {
+  const tip = await rpc("getblockcount");
+  const issued = getIssuedSplitSats(height);
+
+  return {
+    height,
+    projected: height > tip,
+    era: Math.floor(height / HALVING_INTERVAL),
+    block_subsidy: exactAmount(getBlockSubsidySats(height)),
+    issued_supply: exactAmount(getIssuedSupplySats(height)),
+    miner_issued: exactAmount(issued.miner),
+    foundation_issued: exactAmount(issued.foundation)
+  };
+}
+
+/**
+ * Compare theoretical issuance with the UTXO-set supply at the same height
+ * The gap is coins that were issued but can no longer be spent: burns,
+ * OP_RETURN outputs, the genesis coinbase and unclaimed coinbase rewards.
+ * @returns {Promise<Object>} Theoretical and UTXO supply with the gap between them
+ */
+export async function getSupplyComparison() {
+  const info = await getUtxoSetInfo();
+  const theoretical = getIssuedSupplySats(info.height);
+  const utxo = parseSats(info.total_amount);
+  const gap = theoretical - utxo;
+
+  return {
+    height: info.height,
+    theoretical_supply: exactAmount(theoretical),
+    utxo_supply: exactAmount(utxo),
+    gap: exactAmount(gap),
+    gap_percentage: theoretical > 0n ? Number(gap * 100000000n / theoretical) / 1000000 : 0
+  };
+}
@@ -0,0 +1,55 @@
+import { log } from "./utils.js";
+
+/**
+ * Error with an HTTP status, for client errors such as invalid or unknown identifiers
+ */
+export class ApiError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.error = error;
+  }
+}
+
+/**
+ * Create a 400 Bad Request error
+ * @param {string} message - Explanation for the client
+ * @returns {ApiError} Error instance
+ */
+export function badRequest(message) {
+  return new ApiError(400, "Bad request", message);
+}
+
+/**
+ * Create a 404 Not Found error
+ * @param {string} message - Explanation for the client
+ * @returns {ApiError} Error instance
+ */
+export function notFound(message) {
+  return new ApiError(404, "Not found", message);
+}
+
+/**
+ * Send an error response
+ * ApiErrors are returned with their own status; anything else is logged and
+ * reported as 503 since it means the node could not answer.
+ * @param {Object} res - Express response
+ * @param {Error} err - Error to report
+ * @param {string} route - Route name for the log line
+ * @param {string} message - Message for unexpected failures
+ */
+export function sendError(res, err, route, message) {
+  if (err instanceof ApiError) {
+    return res.status(err.status).json({
+      error: err.error,
+      message: err.message
+    });
+  }
+
+  log(`Error in ${route}: ${err.message}`, "error");
+  res.status(503).json({
+    error: "Service temporarily unavailable",
+    message
+  });
+}
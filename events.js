@@ -0,0 +1,518 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { HALVING_INTERVAL, getBlockSubsidySats, splitRewardSats } from "./consensus.js";
+import { getBlockRecords, getIndexedBlocks } from "./blockindex.js";
+import { getMempoolSummary } from "./mempool.js";
+import { exactAmount, stringifyWithAmounts } from "./amounts.js";
+import { badRequest } from "./errors.js";
+import { gauge, registerCollector } from "./metrics.js";
+import { log } from "./utils.js";
+
+dotenv.config();
+
+export const EVENT_TOPICS = ["block", "reorg", "mempool", "halving"];
+
+// Concurrent SSE and WebSocket clients
+const EVENTS_MAX_CLIENTS = parseInt(process.env.EVENTS_MAX_CLIENTS || 1000, 10);
+
+// Concurrent SSE and WebSocket clients per IP, or per API key
+const EVENTS_MAX_CLIENTS_PER_IP = parseInt(process.env.EVENTS_MAX_CLIENTS_PER_IP || 5, 10);
+
+// Blocks replayed to a client resuming from an earlier height
+const EVENTS_MAX_REPLAY = parseInt(process.env.EVENTS_MAX_REPLAY || 1000, 10);
+
+// How often mempool summaries are pushed
+const EVENTS_MEMPOOL_INTERVAL_MS = parseInt(process.env.EVENTS_MEMPOOL_INTERVAL_MS || 15000, 10);
+
+// Reorg and halving events kept for resuming clients; blocks come from the index
+const RECENT_EVENTS = 500;
+
+// Keeps proxies from closing idle connections and detects dead WebSocket peers
+const HEARTBEAT_MS = 25000;
+
+// A client this far behind on writes is dropped rather than buffered
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// Largest client WebSocket message accepted (subscription changes only)
+const MAX_CLIENT_FRAME = 4096;
+
+// Blocks before a halving at which a milestone event is sent; 0 is the halving itself
+const HALVING_MILESTONES = [100000, 10000, 1000, 100, 10, 1, 0];
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+/**
+ * Connected clients and event follower state
+ */
+const Events = {
+  clients: new Set(),
+  recent: [],
+  lastHeight: null,
+  queue: Promise.resolve(),
+  timers: []
+};
+
+const eventClients = gauge("meowapi_event_clients", "Connected event stream clients by transport");
+
+registerCollector(() => {
+  for (const transport of ["sse", "websocket"]) {
+    eventClients.set({ transport }, [...Events.clients].filter(c => c.transport === transport).length);
+  }
+});
+
+/**
+ * Parse a comma-separated topic list
+ * @param {string} [value] - Topics, e.g. "block,reorg"; all topics when omitted
+ * @returns {Set<string>} Topics
+ * @throws {ApiError} 400 for unknown topics
+ */
+export function parseTopics(value) {
+  if (value === undefined || value === "") return new Set(EVENT_TOPICS);
+
+  const topics = String(value).split(",").map(t => t.trim()).filter(Boolean);
+  const unknown = topics.filter(t => !EVENT_TOPICS.includes(t));
+  if (unknown.length > 0 || topics.length === 0) {
+    throw badRequest(`topics must be a comma-separated list of: ${EVENT_TOPICS.join(", ")}`);
+  }
+  return new Set(topics);
+}
+
+/**
+ * Parse a resume height
+ * @param {string} [value] - Last height the client has seen
+ * @returns {number|null} Height, or null when not resuming
+ * @throws {ApiError} 400 for a malformed height
+ */
+export function parseSince(value) {
+  if (value === undefined || value === "") return null;
+  const height = Number(value);
+  if (!Number.isInteger(height) || height < 0) {
+    throw badRequest("since must be a non-negative block height");
+  }
+  return height;
+}
+
+/**
+ * Describe a block for event payloads
+ * @param {Object} record - Block record
+ * @returns {Object} Height, hash, time, algorithm, transaction count and reward split
+ */
+export function describeBlock(record) {
+  const subsidy = getBlockSubsidySats(record.height);
+  const split = splitRewardSats(subsidy);
+  return {
+    height: record.height,
+    hash: record.hash,
+    time: record.time,
+    algo: record.algo,
+    tx_count: record.tx_count,
+    reward: {
+      subsidy: exactAmount(subsidy),
+      miner: exactAmount(split.miner),
+      foundation: exactAmount(split.foundation)
+    }
+  };
+}
+
+/**
+ * Build a block event from an index record
+ * @param {Object} record - Block record
+ * @returns {Object} Event
+ */
+function blockEvent(record) {
+  return { type: "block", height: record.height, data: describeBlock(record) };
+}
+
+/**
+ * Build the halving milestone event reached at a height, if any
+ * @param {number} height - Block height
+ * @returns {Object|null} Event
+ */
+function halvingEvent(height) {
+  const offset = height % HALVING_INTERVAL;
+  const remaining = offset === 0 ? 0 : HALVING_INTERVAL - offset;
+  if (height === 0 || !HALVING_MILESTONES.includes(remaining)) return null;
+
+  const halvingHeight = height + remaining;
+  return {
+    type: "halving",
+    height,
+    data: {
+      height,
+      halving_height: halvingHeight,
+      blocks_remaining: remaining,
+      milestone: remaining === 0 ? "halving" : `${remaining}_blocks`,
+      subsidy: exactAmount(getBlockSubsidySats(halvingHeight))
+    }
+  };
+}
+
+/**
+ * Send an event to every client subscribed to its topic
+ * @param {Object} event - Event
+ */
+function publish(event) {
+  if (event.type === "reorg" || event.type === "halving") {
+    Events.recent.push(event);
+    if (Events.recent.length > RECENT_EVENTS) Events.recent.shift();
+  }
+
+  for (const client of Events.clients) {
+    if (client.topics.has(event.type)) client.send(event);
+  }
+}
+
+/**
+ * Publish block and halving events for newly connected blocks
+ * @param {{height: number}} tip - New chain tip
+ */
+async function publishBlocks(tip) {
+  const from = Math.max(
+    Events.lastHeight === null ? tip.height : Events.lastHeight + 1,
+    tip.height - EVENTS_MAX_REPLAY + 1
+  );
+  if (from > tip.height) return;
+
+  for (const record of await getBlockRecords(from, tip.height)) {
+    publish(blockEvent(record));
+    const milestone = halvingEvent(record.height);
+    if (milestone) publish(milestone);
+  }
+  Events.lastHeight = tip.height;
+}
+
+/**
+ * Handle a new chain tip from the tip follower
+ * Tips are processed one at a time so events stay in height order.
+ * @param {{height: number, hash: string}} tip - New chain tip
+ * @returns {Promise<void>}
+ */
+export function handleTipEvent(tip) {
+  Events.queue = Events.queue
+    .then(() => publishBlocks(tip))
+    .catch(err => log(`Unable to publish block events: ${err.message}`, "error"));
+  return Events.queue;
+}
+
+/**
+ * Handle a reorg from the tip follower
+ * Blocks above the fork point are published again from the new chain.
+ * @param {Object} reorg - Reorg event from chaintip.js
+ */
+export function handleReorgEvent(reorg) {
+  Events.queue = Events.queue.then(() => {
+    publish({ type: "reorg", height: reorg.new_tip.height, data: reorg });
+    if (Events.lastHeight !== null) {
+      Events.lastHeight = Math.min(Events.lastHeight, reorg.fork_height);
+    }
+  }).catch(err => log(`Unable to publish reorg event: ${err.message}`, "error"));
+}
+
+/**
+ * Replay what a resuming client missed since a height
+ * Blocks come from the local index, so resuming never triggers RPC calls;
+ * heights the index no longer holds are reported in the resume event.
+ * @param {Object} client - Client
+ * @param {number} since - Last height the client saw
+ */
+function replay(client, since) {
+  const to = Events.lastHeight ?? since;
+  const from = Math.max(since + 1, to - EVENTS_MAX_REPLAY + 1);
+  const blocks = from <= to ? getIndexedBlocks(from, to) : [];
+
+  const events = [];
+  for (const record of blocks) {
+    if (client.topics.has("block")) events.push(blockEvent(record));
+  }
+  for (const event of Events.recent) {
+    if (event.height > since && client.topics.has(event.type)) events.push(event);
+  }
+  const order = { reorg: 0, block: 1, halving: 2 };
+  events.sort((a, b) => a.height - b.height || order[a.type] - order[b.type]);
+
+  // Incomplete when the gap exceeds EVENTS_MAX_REPLAY or reaches below the index
+  const firstReplayed = blocks.length > 0 ? blocks[0].height : null;
+  client.send({
+    type: "resume",
+    height: null,
+    data: {
+      since,
+      tip: Events.lastHeight,
+      replayed_blocks: blocks.length,
+      complete: to <= since || (from === since + 1 && firstReplayed === from)
+    }
+  });
+  for (const event of events) client.send(event);
+}
+
+/**
+ * Register a client and replay missed events when resuming
+ * @param {Object} client - Client with transport, topics and send()
+ * @param {number|null} since - Resume height
+ */
+function addClient(client, since) {
+  Events.clients.add(client);
+  if (since !== null) replay(client, since);
+}
+
+/**
+ * Check whether another client may connect
+ * @param {string} owner - Rate limiter client id (ip:... or key:...)
+ * @returns {{status: number, message: string}|null} Why the connection is refused
+ *   (503 when the server is full, 429 when this client is), or null if it may connect
+ */
+export function checkClientCapacity(owner) {
+  if (Events.clients.size >= EVENTS_MAX_CLIENTS) {
+    return { status: 503, message: "Too many event stream clients, try again later" };
+  }
+  let open = 0;
+  for (const client of Events.clients) {
+    if (client.owner === owner) open++;
+  }
+  if (open >= EVENTS_MAX_CLIENTS_PER_IP) {
+    return { status: 429, message: `At most ${EVENTS_MAX_CLIENTS_PER_IP} event streams may be open per client` };
+  }
+  return null;
+}
+
+// ==================== SERVER-SENT EVENTS ====================
+
+/**
+ * Stream events to an HTTP client as Server-Sent Events
+ * Block, reorg and halving events carry their height as the SSE id, so a
+ * reconnecting EventSource resumes through Last-Event-ID automatically.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {{owner: string, topics: Set<string>, since: number|null, amounts: Object}} options -
+ *   Rate limiter client id, subscription and amount options for mempool totals
+ */
+export function handleSse(req, res, { owner, topics, since, amounts }) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-store",
+    "Connection": "keep-alive",
+    // nginx would otherwise buffer the stream
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  const client = {
+    transport: "sse",
+    owner,
+    topics,
+    send(event) {
+      if (res.writableLength > MAX_BUFFERED_BYTES) return res.end();
+      const id = event.height !== null ? `id: ${event.height}\n` : "";
+      res.write(`${id}event: ${event.type}\ndata: ${stringifyWithAmounts(event.data, amounts)}\n\n`);
+    },
+    heartbeat() {
+      res.write(": ping\n\n");
+    }
+  };
+
+  req.on("close", () => Events.clients.delete(client));
+  addClient(client, since);
+}
+
+// ==================== WEBSOCKET ====================
+
+/**
+ * Encode a server-to-client WebSocket frame
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Payload
+ * @returns {Buffer} Frame
+ */
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode complete client frames from a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {{frames: Array<{fin: boolean, opcode: number, payload: Buffer}>, rest: Buffer, error: string|null}}
+ *   Complete frames, leftover bytes and a protocol error if any
+ */
+export function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const fin = (buffer[offset] & 0x80) !== 0;
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let pos = offset + 2;
+
+    if (!masked) return { frames, rest: Buffer.alloc(0), error: "unmasked client frame" };
+    if (length === 126) {
+      if (buffer.length < pos + 2) break;
+      length = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (length === 127) {
+      return { frames, rest: Buffer.alloc(0), error: "frame too large" };
+    }
+    if (length > MAX_CLIENT_FRAME) return { frames, rest: Buffer.alloc(0), error: "frame too large" };
+    if (buffer.length < pos + 4 + length) break;
+
+    const mask = buffer.subarray(pos, pos + 4);
+    const payload = Buffer.from(buffer.subarray(pos + 4, pos + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+
+    frames.push({ fin, opcode, payload });
+    offset = pos + 4 + length;
+  }
+
+  return { frames, rest: buffer.subarray(offset), error: null };
+}
+
+/**
+ * Apply a subscription message from a WebSocket client
+ * Messages look like {"action": "subscribe", "topics": ["block"], "since": 1672900}
+ * or {"action": "unsubscribe", "topics": ["mempool"]}.
+ * @param {Object} client - Client
+ * @param {string} text - Message text
+ */
+function handleClientMessage(client, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+    const topics = parseTopics(Array.isArray(message.topics) ? message.topics.join(",") : message.topics);
+
+    if (message.action === "subscribe") {
+      for (const topic of topics) client.topics.add(topic);
+      const since = parseSince(message.since);
+      client.send({ type: "subscribed", height: null, data: { topics: [...client.topics] } });
+      if (since !== null) replay(client, since);
+    } else if (message.action === "unsubscribe") {
+      for (const topic of topics) client.topics.delete(topic);
+      client.send({ type: "subscribed", height: null, data: { topics: [...client.topics] } });
+    } else {
+      throw badRequest("action must be subscribe or unsubscribe");
+    }
+  } catch (err) {
+    const reason = err instanceof SyntaxError ? "message must be JSON" : err.message;
+    client.send({ type: "error", height: null, data: { message: reason } });
+  }
+}
+
+/**
+ * Accept a WebSocket upgrade for /ws
+ * Query parameters are the same as for /events. Events are sent as JSON text
+ * messages: {"type": "block", "height": 1672943, "data": {...}}.
+ * @param {Object} req - HTTP upgrade request
+ * @param {Object} socket - Network socket
+ * @param {{owner: string, topics: Set<string>, since: number|null, amounts: Object}} options -
+ *   Rate limiter client id, initial subscription and amount options for mempool totals
+ */
+export function handleWebSocket(req, socket, { owner, topics, since, amounts }) {
+  const accept = crypto
+    .createHash("sha1")
+    .update(req.headers["sec-websocket-key"] + WS_GUID)
+    .digest("base64");
+
+  socket.write([
+    "HTTP/1.1 101 Switching Protocols",
+    "Upgrade: websocket",
+    "Connection: Upgrade",
+    `Sec-WebSocket-Accept: ${accept}`,
+    "",
+    ""
+  ].join("\r\n"));
+  socket.setNoDelay(true);
+
+  let buffered = Buffer.alloc(0);
+  let alive = true;
+
+  const client = {
+    transport: "websocket",
+    owner,
+    topics,
+    send(event) {
+      if (socket.destroyed) return;
+      if (socket.writableLength > MAX_BUFFERED_BYTES) return close(1008);
+      socket.write(encodeFrame(0x1, Buffer.from(stringifyWithAmounts(event, amounts))));
+    },
+    heartbeat() {
+      if (!alive) return socket.destroy();
+      alive = false;
+      socket.write(encodeFrame(0x9, Buffer.alloc(0)));
+    }
+  };
+
+  /**
+   * Close the connection with a status code
+   * @param {number} code - WebSocket close code
+   */
+  function close(code) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    socket.end(encodeFrame(0x8, payload));
+    Events.clients.delete(client);
+  }
+
+  socket.on("data", chunk => {
+    const { frames, rest, error } = decodeFrames(Buffer.concat([buffered, chunk]));
+    buffered = rest;
+    if (error) return close(1002);
+
+    for (const frame of frames) {
+      if (frame.opcode === 0x8) return close(1000);
+      if (frame.opcode === 0x9) socket.write(encodeFrame(0xa, frame.payload));
+      else if (frame.opcode === 0xa) alive = true;
+      else if (frame.opcode === 0x1 && frame.fin) handleClientMessage(client, frame.payload.toString("utf8"));
+      else return close(1003);
+    }
+  });
+  socket.on("close", () => Events.clients.delete(client));
+  socket.on("error", () => Events.clients.delete(client));
+
+  addClient(client, since);
+}
+
+/**
+ * Check that an upgrade request is a WebSocket handshake this server supports
+ * @param {Object} req - HTTP upgrade request
+ * @returns {boolean} True for a valid version 13 handshake
+ */
+export function isWebSocketHandshake(req) {
+  return (req.headers.upgrade || "").toLowerCase() === "websocket" &&
+    Boolean(req.headers["sec-websocket-key"]) &&
+    req.headers["sec-websocket-version"] === "13";
+}
+
+/**
+ * Start the heartbeat and mempool ticks
+ * Mempool summaries come from the shared cache and are only fetched while
+ * some client is subscribed to them.
+ */
+export function startEvents() {
+  if (Events.timers.length > 0) return;
+
+  Events.timers.push(setInterval(() => {
+    for (const client of Events.clients) client.heartbeat();
+  }, HEARTBEAT_MS));
+
+  Events.timers.push(setInterval(async () => {
+    if (![...Events.clients].some(c => c.topics.has("mempool"))) return;
+    try {
+      publish({ type: "mempool", height: null, data: await getMempoolSummary() });
+    } catch (err) {
+      log(`Unable to publish mempool event: ${err.message}`, "warn");
+    }
+  }, EVENTS_MEMPOOL_INTERVAL_MS));
+}
@@ -0,0 +1,311 @@
+import { rpc, rpcBatch } from "./rpc.js";
+import { FOUNDATION_ADDRESS, toSatoshis, getBlockSubsidySats, detectAlgo } from "./consensus.js";
+import { badRequest, notFound } from "./errors.js";
+
+// JSON-RPC error codes that mean "no such object"
+const RPC_INVALID_ADDRESS_OR_KEY = -5;
+const RPC_INVALID_PARAMETER = -8;
+
+const HASH_PATTERN = /^[0-9a-fA-F]{64}$/;
+const HEIGHT_PATTERN = /^\d{1,10}$/;
+
+// Previous transactions fetched per batch when resolving inputs
+const INPUT_BATCH = 50;
+
+/**
+ * Check whether an RPC error means the requested object does not exist
+ * @param {Error} err - Error from rpc()
+ * @returns {boolean} True for not-found errors
+ */
+function isNotFound(err) {
+  return err.code === RPC_INVALID_ADDRESS_OR_KEY || err.code === RPC_INVALID_PARAMETER;
+}
+
+/**
+ * Resolve a height or block hash to a block hash
+ * @param {string} heightOrHash - Block height or 64-character hash
+ * @returns {Promise<string>} Block hash
+ * @throws {ApiError} 400 for malformed identifiers, 404 for unknown heights
+ */
+async function resolveBlockHash(heightOrHash) {
+  if (HASH_PATTERN.test(heightOrHash)) {
+    return heightOrHash.toLowerCase();
+  }
+  if (!HEIGHT_PATTERN.test(heightOrHash)) {
+    throw badRequest("Block identifier must be a height or a 64-character hex hash");
+  }
+
+  try {
+    return await rpc("getblockhash", [Number(heightOrHash)]);
+  } catch (err) {
+    if (isNotFound(err)) throw notFound(`Block at height ${heightOrHash} not found`);
+    throw err;
+  }
+}
+
+/**
+ * Fetch a block with full transaction data
+ * @param {string} heightOrHash - Block height or hash
+ * @returns {Promise<Object>} getblock result with verbosity 2
+ */
+async function fetchBlock(heightOrHash) {
+  const hash = await resolveBlockHash(heightOrHash);
+  try {
+    return await rpc("getblock", [hash, 2]);
+  } catch (err) {
+    if (isNotFound(err)) throw notFound(`Block ${heightOrHash} not found`);
+    throw err;
+  }
+}
+
+/**
+ * Decode transaction outputs into a flat, address-oriented form
+ * @param {Array<Object>} vout - Raw transaction outputs
+ * @returns {Array<Object>} Decoded outputs
+ */
+function decodeOutputs(vout) {
+  return (vout || []).map(out => {
+    const script = out.scriptPubKey || {};
+    const sats = toSatoshis(out.value);
+    const decoded = {
+      n: out.n,
+      value: BigInt(sats),
+      value_sat: sats,
+      type: script.type || null,
+      address: script.addresses?.[0] ?? null,
+      addresses: script.addresses || [],
+      script_hex: script.hex || null
+    };
+    if (script.asset) {
+      decoded.asset = script.asset;
+    }
+    return decoded;
+  });
+}
+
+/**
+ * Split a block's coinbase into subsidy, fees, miner and foundation shares
+ * @param {Object} coinbase - Coinbase transaction
+ * @param {number} height - Block height
+ * @returns {Object} Reward split in satoshis
+ */
+export function getCoinbaseReward(coinbase, height) {
+  let totalSats = 0;
+  let foundationSats = 0;
+
+  for (const out of coinbase.vout || []) {
+    const sats = toSatoshis(out.value);
+    totalSats += sats;
+    if (out.scriptPubKey?.addresses?.includes(FOUNDATION_ADDRESS)) {
+      foundationSats += sats;
+    }
+  }
+
+  const subsidySats = Number(getBlockSubsidySats(height));
+  return {
+    subsidy: BigInt(subsidySats),
+    fees: BigInt(Math.max(0, totalSats - subsidySats)),
+    coinbase_total: BigInt(totalSats),
+    miner_reward: BigInt(totalSats - foundationSats),
+    foundation_reward: BigInt(foundationSats),
+    foundation_address: FOUNDATION_ADDRESS
+  };
+}
+
+/**
+ * Fetch the transactions spent by the given transactions' inputs
+ * Without -txindex the node cannot return arbitrary transactions; those
+ * inputs are left unresolved rather than failing the request.
+ * @param {Array<Object>} txs - Verbose transactions
+ * @returns {Promise<Map<string, Object>>} Previous transactions by txid
+ */
+async function fetchPrevTransactions(txs) {
+  const txids = new Set();
+  for (const tx of txs) {
+    for (const vin of tx.vin || []) {
+      if (vin.txid) txids.add(vin.txid);
+    }
+  }
+
+  const prevTxs = new Map();
+  const ids = [...txids];
+  for (let i = 0; i < ids.length; i += INPUT_BATCH) {
+    const chunk = ids.slice(i, i + INPUT_BATCH);
+    const results = await rpcBatch(chunk.map(txid => ["getrawtransaction", [txid, 1]]), { allowErrors: true });
+    results.forEach((result, j) => {
+      if (!(result instanceof Error)) prevTxs.set(chunk[j], result);
+    });
+  }
+  return prevTxs;
+}
+
+/**
+ * Normalize a verbose transaction, resolving input values for fee calculation
+ * @param {Object} tx - Verbose transaction
+ * @param {Map<string, Object>} prevTxs - Previous transactions by txid
+ * @returns {Object} Normalized transaction
+ */
+function normalizeTransaction(tx, prevTxs) {
+  const isCoinbase = Boolean(tx.vin?.[0]?.coinbase);
+  let inputSats = 0;
+  let resolved = true;
+
+  const inputs = (tx.vin || []).map(vin => {
+    if (vin.coinbase) {
+      return { coinbase: vin.coinbase, sequence: vin.sequence };
+    }
+
+    const prevOut = prevTxs.get(vin.txid)?.vout?.find(out => out.n === vin.vout);
+    if (!prevOut) {
+      resolved = false;
+      return { txid: vin.txid, vout: vin.vout, address: null, value: null, value_sat: null };
+    }
+
+    const sats = toSatoshis(prevOut.value);
+    inputSats += sats;
+    return {
+      txid: vin.txid,
+      vout: vin.vout,
+      address: prevOut.scriptPubKey?.addresses?.[0] ?? null,
+      value: BigInt(sats),
+      value_sat: sats
+    };
+  });
+
+  const outputs = decodeOutputs(tx.vout);
+  const outputSats = outputs.reduce((sum, out) => sum + out.value_sat, 0);
+  const size = tx.vsize ?? tx.size;
+
+  let fee = null;
+  if (isCoinbase) {
+    fee = 0;
+  } else if (resolved) {
+    fee = inputSats - outputSats;
+  }
+
+  const normalized = {
+    txid: tx.txid,
+    size: tx.size,
+    vsize: size,
+    version: tx.version,
+    locktime: tx.locktime,
+    is_coinbase: isCoinbase,
+    input_total: isCoinbase || !resolved ? null : BigInt(inputSats),
+    output_total: BigInt(outputSats),
+    fee: fee === null ? null : BigInt(fee),
+    fee_sat: fee,
+    fee_rate: fee === null || !size ? null : Math.round((fee / size) * 1000) / 1000,
+    inputs,
+    outputs
+  };
+  if (fee === null) {
+    normalized.fee_note = "Input values could not be resolved; the node may be running without -txindex";
+  }
+  return normalized;
+}
+
+/**
+ * Get a normalized block summary
+ * @param {string} heightOrHash - Block height or hash
+ * @returns {Promise<Object>} Block details
+ */
+export async function getBlockDetails(heightOrHash) {
+  const block = await fetchBlock(heightOrHash);
+  const coinbase = block.tx[0];
+
+  return {
+    height: block.height,
+    hash: block.hash,
+    confirmations: block.confirmations,
+    time: block.time,
+    median_time: block.mediantime,
+    version: block.version,
+    version_hex: block.versionHex || block.version.toString(16).padStart(8, "0"),
+    algo: detectAlgo(block.version),
+    difficulty: block.difficulty,
+    bits: block.bits,
+    nonce: block.nonce,
+    size: block.size,
+    weight: block.weight,
+    merkle_root: block.merkleroot,
+    previous_block_hash: block.previousblockhash || null,
+    next_block_hash: block.nextblockhash || null,
+    tx_count: block.nTx ?? block.tx.length,
+    reward: getCoinbaseReward(coinbase, block.height),
+    coinbase: {
+      txid: coinbase.txid,
+      outputs: decodeOutputs(coinbase.vout)
+    }
+  };
+}
+
+/**
+ * Get a page of normalized transactions from a block
+ * @param {string} heightOrHash - Block height or hash
+ * @param {Object} options - Pagination options
+ * @param {number} options.page - Page number, starting at 1
+ * @param {number} options.limit - Transactions per page
+ * @returns {Promise<Object>} Page of transactions
+ */
+export async function getBlockTransactions(heightOrHash, { page, limit }) {
+  const block = await fetchBlock(heightOrHash);
+  const total = block.tx.length;
+  const pages = Math.max(1, Math.ceil(total / limit));
+  if (page > pages) {
+    throw notFound(`Page ${page} is beyond the last page (${pages})`);
+  }
+
+  const txs = block.tx.slice((page - 1) * limit, page * limit);
+  const prevTxs = await fetchPrevTransactions(txs);
+
+  return {
+    height: block.height,
+    hash: block.hash,
+    algo: detectAlgo(block.version),
+    tx_count: total,
+    page,
+    limit,
+    pages,
+    txs: txs.map(tx => normalizeTransaction(tx, prevTxs))
+  };
+}
+
+/**
+ * Get a normalized transaction
+ * @param {string} txid - Transaction id
+ * @returns {Promise<Object>} Transaction details
+ */
+export async function getTransactionDetails(txid) {
+  if (!HASH_PATTERN.test(txid)) {
+    throw badRequest("Transaction id must be a 64-character hex string");
+  }
+
+  let tx;
+  try {
+    tx = await rpc("getrawtransaction", [txid.toLowerCase(), 1]);
+  } catch (err) {
+    if (isNotFound(err)) throw notFound(`Transaction ${txid} not found`);
+    throw err;
+  }
+
+  let block = null;
+  if (tx.blockhash) {
+    const header = await rpc("getblockheader", [tx.blockhash]);
+    block = {
+      hash: header.hash,
+      height: header.height,
+      time: header.time,
+      algo: detectAlgo(header.version)
+    };
+  }
+
+  const prevTxs = await fetchPrevTransactions([tx]);
+  const normalized = normalizeTransaction(tx, prevTxs);
+
+  return {
+    ...normalized,
+    confirmations: tx.confirmations || 0,
+    block,
+    reward: normalized.is_coinbase && block ? getCoinbaseReward(tx, block.height) : undefined
+  };
+}
@@ -0,0 +1,114 @@
+import { formatAmount } from "./amounts.js";
+import { badRequest } from "./errors.js";
+
+export const RESPONSE_FORMATS = ["json", "text", "csv"];
+
+// Media types offered through the Accept header, in order of preference
+const MEDIA_TYPES = {
+  json: "application/json",
+  text: "text/plain",
+  csv: "text/csv"
+};
+
+/**
+ * Choose a response format
+ * ?format= wins over the Accept header; clients that accept anything get JSON.
+ * @param {Object} req - Express request
+ * @returns {string} "json", "text" or "csv"
+ * @throws {ApiError} 400 for an unknown format parameter
+ */
+export function negotiateFormat(req) {
+  const requested = req.query.format;
+  if (requested !== undefined) {
+    if (!RESPONSE_FORMATS.includes(requested)) {
+      throw badRequest(`format must be one of: ${RESPONSE_FORMATS.join(", ")}`);
+    }
+    return requested;
+  }
+
+  const accepted = req.accepts(Object.values(MEDIA_TYPES));
+  return RESPONSE_FORMATS.find(format => MEDIA_TYPES[format] === accepted) || "json";
+}
+
+// Leading characters that make spreadsheets evaluate a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV field when needed
+ * Text that a spreadsheet would run as a formula (asset names, labels) is
+ * prefixed with an apostrophe; plain numbers such as negative deltas are not.
+ * @param {string|number|null} value - Field value
+ * @returns {string} CSV field
+ */
+export function csvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (FORMULA_START.test(text) && !/^[-+]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flatten nested objects and arrays into dotted field names
+ * e.g. {meowpow: {difficulty: 1}} becomes [["meowpow.difficulty", 1]] and
+ * {excluded: [{amount: 5n}]} becomes [["excluded.0.amount", 5n]].
+ * @param {any} value - Value to flatten
+ * @param {string} [prefix] - Name of the enclosing field
+ * @param {Array<Array>} [fields] - Accumulated [name, value] pairs
+ * @returns {Array<Array>} [name, value] pairs in document order
+ */
+function flatten(value, prefix = "", fields = []) {
+  if (value !== null && typeof value === "object") {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, fields);
+    }
+  } else if (value !== undefined) {
+    fields.push([prefix, value]);
+  }
+  return fields;
+}
+
+/**
+ * Format a single value as text
+ * @param {any} value - Value; BigInt values are amounts in satoshis
+ * @param {{unit: string, amounts: string}} amounts - Amount options
+ * @returns {string} Text
+ */
+function formatField(value, amounts) {
+  if (typeof value === "bigint") return formatAmount(value, amounts);
+  return value === null ? "" : String(value);
+}
+
+/**
+ * Send a response in the negotiated format
+ * Plain text is the bare value of `textField` when given, which is what
+ * supply aggregators expect, and otherwise one name=value line per field.
+ * CSV is a header row of flattened field names and a single data row.
+ * Amounts follow the request's unit and amounts options in every format.
+ * @param {Object} res - Express response
+ * @param {string} format - "json", "text" or "csv"
+ * @param {Object} data - Response body
+ * @param {string} [textField] - Field returned on its own as plain text
+ */
+export function sendFormatted(res, format, data, textField) {
+  res.vary("Accept");
+  if (format === "json") {
+    return res.json(data);
+  }
+
+  const amounts = res.locals.amounts;
+  const fields = flatten(data);
+
+  if (format === "text") {
+    const text = textField
+      ? formatField(data[textField], amounts)
+      : fields.map(([name, value]) => `${name}=${formatField(value, amounts)}`).join("\n");
+    res.type("text/plain; charset=utf-8");
+    return res.send(`${text}\n`);
+  }
+
+  const header = fields.map(([name]) => csvField(name)).join(",");
+  const row = fields.map(([, value]) => csvField(formatField(value, amounts))).join(",");
+  res.type("text/csv; charset=utf-8");
+  res.send(`${header}\n${row}\n`);
+}
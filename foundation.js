@@ -0,0 +1,202 @@
+import { rpc } from "./rpc.js";
+import {
+  FOUNDATION_ADDRESS,
+  MINER_PERCENTAGE,
+  FOUNDATION_PERCENTAGE,
+  toSatoshis,
+  getBlockSubsidySats,
+  splitRewardSats
+} from "./consensus.js";
+import { getBlockRecords, getIndexStatus } from "./blockindex.js";
+import { badRequest } from "./errors.js";
+
+// Largest height range a single audit may cover
+export const MAX_AUDIT_RANGE = 10000;
+export const DEFAULT_AUDIT_RANGE = 1000;
+
+// Largest number of blocks outside the block index a single audit may fetch
+// from the node; each one costs a getblockhash and a verbose getblock
+export const MAX_UNINDEXED_AUDIT_RANGE = 1000;
+
+/**
+ * Count the heights in a range that lie outside the block index
+ * @param {number} start - First height
+ * @param {number} end - Last height
+ * @returns {number} Heights that would be fetched from the node
+ */
+function countUnindexed(start, end) {
+  const { low, high } = getIndexStatus();
+  if (low === null) return end - start + 1;
+  const below = Math.max(0, Math.min(end, low - 1) - start + 1);
+  const above = Math.max(0, end - Math.max(start, high + 1) + 1);
+  return below + above;
+}
+
+/**
+ * Verify a block's coinbase against the 60/40 reward split
+ * The foundation share is checked against the subsidy alone and against the
+ * subsidy plus fees, which tells whether fees went to the miner or were split.
+ * @param {Object} record - Block record with decoded coinbase outputs
+ * @returns {Object} Verification result; amounts in satoshis
+ */
+export function verifyBlockReward(record) {
+  let totalSats = 0;
+  let foundationSats = 0;
+  for (const out of record.coinbase) {
+    const sats = toSatoshis(out.value);
+    totalSats += sats;
+    if (out.address === FOUNDATION_ADDRESS) foundationSats += sats;
+  }
+
+  const subsidySats = Number(getBlockSubsidySats(record.height));
+  const feeSats = Math.max(0, totalSats - subsidySats);
+  const expectedSats = Number(splitRewardSats(BigInt(subsidySats)).foundation);
+  const withFeesSats = Number(splitRewardSats(BigInt(subsidySats + feeSats)).foundation);
+
+  let feeTreatment = "other";
+  if (feeSats === 0) {
+    feeTreatment = "no_fees";
+  } else if (foundationSats === expectedSats) {
+    feeTreatment = "miner";
+  } else if (foundationSats === withFeesSats) {
+    feeTreatment = "split";
+  }
+
+  return {
+    height: record.height,
+    hash: record.hash,
+    algo: record.algo,
+    subsidySats,
+    feeSats,
+    totalSats,
+    minerSats: totalSats - foundationSats,
+    foundationSats,
+    expectedSats,
+    feeTreatment,
+    compliant: foundationSats >= expectedSats
+  };
+}
+
+/**
+ * Format a verification result for the API, amounts in satoshis
+ * @param {Object} result - Result of verifyBlockReward()
+ * @returns {Object} Audited block
+ */
+function formatAuditedBlock(result) {
+  return {
+    height: result.height,
+    hash: result.hash,
+    algo: result.algo,
+    compliant: result.compliant,
+    subsidy: BigInt(result.subsidySats),
+    fees: BigInt(result.feeSats),
+    coinbase_total: BigInt(result.totalSats),
+    miner_reward: BigInt(result.minerSats),
+    foundation_reward: BigInt(result.foundationSats),
+    expected_foundation_reward: BigInt(result.expectedSats),
+    foundation_percentage: result.subsidySats > 0
+      ? Math.round((result.foundationSats / result.subsidySats) * 10000) / 100
+      : null,
+    fee_treatment: result.feeTreatment
+  };
+}
+
+/**
+ * Add a verification result to per-algorithm totals
+ * @param {Object} totals - Totals keyed by algorithm
+ * @param {Object} result - Result of verifyBlockReward()
+ */
+function addToTotals(totals, result) {
+  const entry = totals[result.algo] ||= {
+    blocks: 0,
+    compliant: 0,
+    non_compliant: 0,
+    subsidySats: 0n,
+    feeSats: 0n,
+    minerSats: 0n,
+    foundationSats: 0n,
+    expectedSats: 0n
+  };
+
+  entry.blocks++;
+  entry[result.compliant ? "compliant" : "non_compliant"]++;
+  entry.subsidySats += BigInt(result.subsidySats);
+  entry.feeSats += BigInt(result.feeSats);
+  entry.minerSats += BigInt(result.minerSats);
+  entry.foundationSats += BigInt(result.foundationSats);
+  entry.expectedSats += BigInt(result.expectedSats);
+}
+
+/**
+ * Audit the foundation reward paid by every block in a height range
+ * @param {Object} options - Range, filter and pagination options
+ * @param {number} [options.from] - First height, defaults to 1000 blocks below the tip
+ * @param {number} [options.to] - Last height, defaults to the tip
+ * @param {string} options.status - "all", "compliant" or "non_compliant"
+ * @param {number} options.page - Page number, starting at 1
+ * @param {number} options.limit - Blocks per page
+ * @returns {Promise<Object>} Audit summary and a page of audited blocks
+ * @throws {ApiError} 400 for inverted or oversized ranges, or too many blocks outside the index
+ */
+export async function getFoundationAudit({ from, to, status, page, limit }) {
+  const tip = await rpc("getblockcount");
+  const end = Math.min(to ?? tip, tip);
+  const start = from ?? Math.max(0, end - DEFAULT_AUDIT_RANGE + 1);
+
+  if (start > end) {
+    throw badRequest("from must not be greater than to");
+  }
+  if (end - start + 1 > MAX_AUDIT_RANGE) {
+    throw badRequest(`Height range may cover at most ${MAX_AUDIT_RANGE} blocks`);
+  }
+  if (countUnindexed(start, end) > MAX_UNINDEXED_AUDIT_RANGE) {
+    throw badRequest(`Height range may include at most ${MAX_UNINDEXED_AUDIT_RANGE} blocks outside the block index`);
+  }
+
+  const results = (await getBlockRecords(start, end)).map(verifyBlockReward);
+
+  const totals = {};
+  for (const result of results) addToTotals(totals, result);
+
+  const byAlgo = {};
+  for (const [algo, t] of Object.entries(totals)) {
+    byAlgo[algo] = {
+      blocks: t.blocks,
+      compliant: t.compliant,
+      non_compliant: t.non_compliant,
+      subsidy: t.subsidySats,
+      fees: t.feeSats,
+      miner_reward: t.minerSats,
+      foundation_reward: t.foundationSats,
+      expected_foundation_reward: t.expectedSats
+    };
+  }
+
+  const compliant = results.filter(r => r.compliant).length;
+  const listed = status === "all"
+    ? results
+    : results.filter(r => r.compliant === (status === "compliant"));
+  const newestFirst = [...listed].reverse();
+
+  return {
+    from: start,
+    to: end,
+    expected: {
+      miner_percentage: MINER_PERCENTAGE,
+      foundation_percentage: FOUNDATION_PERCENTAGE,
+      foundation_address: FOUNDATION_ADDRESS
+    },
+    summary: {
+      blocks: results.length,
+      compliant,
+      non_compliant: results.length - compliant,
+      by_algo: byAlgo
+    },
+    status,
+    total: newestFirst.length,
+    page,
+    limit,
+    pages: Math.max(1, Math.ceil(newestFirst.length / limit)),
+    blocks: newestFirst.slice((page - 1) * limit, page * limit).map(formatAuditedBlock)
+  };
+}
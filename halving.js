@@ -0,0 +1,119 @@
+import dotenv from "dotenv";
+import { rpc } from "./rpc.js";
+import { HALVING_INTERVAL, TARGET_BLOCK_TIME, getBlockSubsidySats } from "./consensus.js";
+import { getIndexedBlock, getIndexedBlocksSince, getIndexStatus } from "./blockindex.js";
+import { parseDuration } from "./utils.js";
+
+dotenv.config();
+
+// Observation windows for the block rate, e.g. "1h,24h,7d"
+const HALVING_WINDOWS = (process.env.HALVING_WINDOWS || "1h,24h,7d")
+  .split(",")
+  .map(w => w.trim())
+  .filter(w => parseDuration(w) !== null);
+
+// Width of the confidence range in standard deviations (~95%)
+const CONFIDENCE_SIGMAS = 2;
+
+/**
+ * Measure blocks and elapsed time over a window ending at the tip
+ * Uses the local block index when it covers the window, otherwise reads the
+ * header at the nominal starting height from the node.
+ * @param {string} label - Window label, e.g. "24h"
+ * @param {{height: number, time: number}} tip - Current tip
+ * @returns {Promise<Object|null>} Window observation, or null without enough blocks
+ */
+async function observeWindow(label, tip) {
+  const windowSeconds = parseDuration(label);
+  const since = tip.time - windowSeconds;
+  const status = getIndexStatus();
+
+  let start = null;
+  const indexed = getIndexedBlocksSince(since);
+  const oldest = status.low !== null ? getIndexedBlock(status.low) : null;
+  if (indexed.length > 0 && oldest && oldest.time <= since) {
+    start = indexed[0];
+  } else {
+    const height = Math.max(0, tip.height - Math.round(windowSeconds / TARGET_BLOCK_TIME));
+    const hash = await rpc("getblockhash", [height]);
+    const header = await rpc("getblockheader", [hash]);
+    start = { height: header.height, time: header.time };
+  }
+
+  const blocks = tip.height - start.height;
+  const seconds = tip.time - start.time;
+  if (blocks < 2 || seconds <= 0) return null;
+
+  return {
+    window: label,
+    blocks,
+    seconds,
+    avg_block_time: Math.round((seconds / blocks) * 100) / 100
+  };
+}
+
+/**
+ * Calculate the mean and sample standard deviation of a list
+ * @param {Array<number>} values - Values
+ * @returns {{mean: number, stddev: number}} Statistics
+ */
+function meanAndStddev(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  if (values.length < 2) return { mean, stddev: 0 };
+
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+  return { mean, stddev: Math.sqrt(variance) };
+}
+
+/**
+ * Build the next-halving countdown with an ETA from observed block times
+ * @returns {Promise<Object>} Halving countdown
+ */
+export async function getHalvingInfo() {
+  const hash = await rpc("getbestblockhash");
+  const header = await rpc("getblockheader", [hash]);
+  const tip = { height: header.height, time: header.time };
+
+  const halvingHeight = (Math.floor(tip.height / HALVING_INTERVAL) + 1) * HALVING_INTERVAL;
+  const remaining = halvingHeight - tip.height;
+
+  const windows = [];
+  for (const label of HALVING_WINDOWS) {
+    const observation = await observeWindow(label, tip);
+    if (observation) windows.push(observation);
+  }
+
+  const spacings = windows.map(w => w.seconds / w.blocks);
+  const observed = spacings.length > 0;
+  const { mean, stddev } = observed ? meanAndStddev(spacings) : { mean: TARGET_BLOCK_TIME, stddev: 0 };
+
+  const etaSeconds = remaining * mean;
+  const lowSeconds = remaining * Math.max(0, mean - CONFIDENCE_SIGMAS * stddev);
+  const highSeconds = remaining * (mean + CONFIDENCE_SIGMAS * stddev);
+  const toDate = seconds => new Date((tip.time + seconds) * 1000).toISOString();
+
+  const result = {
+    height: tip.height,
+    halving_height: halvingHeight,
+    blocks_remaining: remaining,
+    current_subsidy: getBlockSubsidySats(tip.height),
+    next_subsidy: getBlockSubsidySats(halvingHeight),
+    block_rate: {
+      windows,
+      mean_block_time: Math.round(mean * 100) / 100,
+      stddev_block_time: Math.round(stddev * 100) / 100,
+      target_block_time: TARGET_BLOCK_TIME
+    },
+    estimate: {
+      date: toDate(etaSeconds),
+      seconds_remaining: Math.round(etaSeconds),
+      earliest: toDate(lowSeconds),
+      latest: toDate(highSeconds),
+      confidence_sigmas: CONFIDENCE_SIGMAS
+    }
+  };
+  if (!observed) {
+    result.estimate.note = "Not enough observed blocks; estimate uses the target block time";
+  }
+  return result;
+}
@@ -0,0 +1,391 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { rpc, rpcBatch } from "./rpc.js";
+import { detectAlgo } from "./consensus.js";
+import { getIndexedBlock, getIndexedBlocksSince, getIndexStatus } from "./blockindex.js";
+import { badRequest } from "./errors.js";
+import { log, parseDuration } from "./utils.js";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const HISTORY_FILE = path.join(DATA_DIR, "mining-history.ndjson");
+
+// Sampling interval; each sample occupies one slot of this length
+const HISTORY_SAMPLE_MS = parseInt(process.env.HISTORY_SAMPLE_MS || 600000, 10);
+const HISTORY_RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS || 365, 10);
+
+// How far back an empty store is filled from historical blocks
+const HISTORY_BACKFILL_DAYS = parseInt(process.env.HISTORY_BACKFILL_DAYS || 7, 10);
+
+// Missing slots backfilled per sampler tick, so live sampling is never starved
+const BACKFILL_SLOTS_PER_PASS = 144;
+
+// Blocks walked back from a historical height to find both algorithms' difficulty
+const DIFFICULTY_LOOKBACK = 50;
+
+// Largest number of points a single history request may return
+const MAX_POINTS = 2000;
+
+const ALGOS = ["meowpow", "scrypt"];
+
+/**
+ * In-memory copy of the sample store, ordered by time
+ */
+const History = {
+  samples: [],
+  slots: new Set(),
+  oldestAllowed: 0,
+  sampling: false,
+  timer: null
+};
+
+/**
+ * Get the slot a timestamp falls into
+ * @param {number} time - Unix timestamp in seconds
+ * @returns {number} Slot number
+ */
+function slotOf(time) {
+  return Math.floor((time * 1000) / HISTORY_SAMPLE_MS);
+}
+
+/**
+ * Insert a sample in time order
+ * @param {Object} sample - History sample
+ */
+function insertSample(sample) {
+  let i = History.samples.length;
+  while (i > 0 && History.samples[i - 1].time > sample.time) i--;
+  History.samples.splice(i, 0, sample);
+  History.slots.add(slotOf(sample.time));
+}
+
+/**
+ * Load the sample store from disk, dropping samples past the retention period
+ */
+function loadHistory() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  if (!fs.existsSync(HISTORY_FILE)) return;
+
+  const cutoff = Math.floor(Date.now() / 1000) - HISTORY_RETENTION_DAYS * 86400;
+  const samples = [];
+  let expired = 0;
+  for (const line of fs.readFileSync(HISTORY_FILE, "utf8").split("\n")) {
+    if (!line) continue;
+    try {
+      const sample = JSON.parse(line);
+      if (sample.time < cutoff) expired++;
+      else samples.push(sample);
+    } catch (err) {
+      // A torn final line after a crash is expected; skip it
+    }
+  }
+
+  // Backfilled samples are appended out of order
+  samples.sort((a, b) => a.time - b.time);
+  History.samples = samples;
+  History.slots = new Set(samples.map(s => slotOf(s.time)));
+
+  if (expired > 0) {
+    const payload = samples.map(s => JSON.stringify(s)).join("\n");
+    fs.writeFileSync(HISTORY_FILE, payload ? payload + "\n" : "");
+  }
+
+  log(`Mining history loaded: ${samples.length} samples`);
+}
+
+/**
+ * Append samples to the store
+ * @param {Array<Object>} samples - History samples
+ */
+async function appendSamples(samples) {
+  if (samples.length === 0) return;
+  const payload = samples.map(s => JSON.stringify(s)).join("\n") + "\n";
+  await fs.promises.appendFile(HISTORY_FILE, payload);
+}
+
+/**
+ * Count indexed blocks per algorithm in the slot ending at a given block
+ * @param {number} time - Sample time
+ * @param {number} height - Chain height at the sample time
+ * @returns {Object<string, number|null>} Block counts, null when not indexed
+ */
+function countBlocks(time, height) {
+  const since = time - HISTORY_SAMPLE_MS / 1000;
+  const { low } = getIndexStatus();
+  const oldest = low !== null ? getIndexedBlock(low) : null;
+  const counts = { meowpow: null, scrypt: null };
+  if (!oldest || oldest.time > since) return counts;
+
+  counts.meowpow = 0;
+  counts.scrypt = 0;
+  for (const block of getIndexedBlocksSince(since)) {
+    if (block.height > height || block.time > time) continue;
+    if (block.algo in counts) counts[block.algo]++;
+  }
+  return counts;
+}
+
+/**
+ * Record a live sample of the current difficulty and hash rate
+ */
+async function takeLiveSample() {
+  const [height, mpDifficulty, scDifficulty, mpHashrate, scHashrate] = await rpcBatch([
+    ["getblockcount"],
+    ["getdifficulty", [0]],
+    ["getdifficulty", [1]],
+    ["getnetworkhashps", [0, -1, 0]],
+    ["getnetworkhashps", [0, -1, 1]]
+  ]);
+
+  const time = Math.floor(Date.now() / 1000);
+  const blocks = countBlocks(time, height);
+  const sample = {
+    time,
+    height,
+    source: "live",
+    meowpow: { difficulty: mpDifficulty, hashrate: mpHashrate, blocks: blocks.meowpow },
+    scrypt: { difficulty: scDifficulty, hashrate: scHashrate, blocks: blocks.scrypt }
+  };
+
+  insertSample(sample);
+  await appendSamples([sample]);
+}
+
+/**
+ * Get a block header, reading the local index first
+ * @param {number} height - Block height
+ * @returns {Promise<{height: number, time: number, algo: string, difficulty: number}>} Header fields
+ */
+async function headerAt(height) {
+  const record = getIndexedBlock(height);
+  if (record) return record;
+
+  const hash = await rpc("getblockhash", [height]);
+  const header = await rpc("getblockheader", [hash]);
+  return {
+    height,
+    time: header.time,
+    algo: detectAlgo(header.version),
+    difficulty: header.difficulty
+  };
+}
+
+/**
+ * Find the last block mined at or before a time
+ * @param {number} time - Unix timestamp in seconds
+ * @param {number} tip - Current chain height
+ * @returns {Promise<number|null>} Block height, or null if before genesis
+ */
+async function findHeightAtTime(time, tip) {
+  // Neighbouring samples narrow the search
+  let lo = 0;
+  let hi = tip;
+  for (const sample of History.samples) {
+    if (sample.time <= time) lo = Math.max(lo, sample.height);
+    else { hi = Math.min(hi, sample.height); break; }
+  }
+
+  if ((await headerAt(lo)).time > time) return lo === 0 ? null : lo;
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if ((await headerAt(mid)).time <= time) lo = mid;
+    else hi = mid;
+  }
+  return (await headerAt(hi)).time <= time ? hi : lo;
+}
+
+/**
+ * Reconstruct a sample for a past slot from historical blocks
+ * Difficulty is read from the most recent block of each algorithm and the
+ * hash rate from getnetworkhashps at that height.
+ * @param {number} time - Sample time
+ * @param {number} tip - Current chain height
+ * @returns {Promise<Object|null>} History sample, or null before genesis
+ */
+async function backfillSample(time, tip) {
+  const height = await findHeightAtTime(time, tip);
+  if (height === null) return null;
+
+  const difficulty = { meowpow: null, scrypt: null };
+  for (let h = height; h >= Math.max(0, height - DIFFICULTY_LOOKBACK); h--) {
+    const header = await headerAt(h);
+    if (header.algo in difficulty && difficulty[header.algo] === null) {
+      difficulty[header.algo] = header.difficulty;
+    }
+    if (difficulty.meowpow !== null && difficulty.scrypt !== null) break;
+  }
+
+  const [mpHashrate, scHashrate] = await rpcBatch([
+    ["getnetworkhashps", [0, height, 0]],
+    ["getnetworkhashps", [0, height, 1]]
+  ], { allowErrors: true });
+
+  const blocks = countBlocks(time, height);
+  const hashrate = value => (value instanceof Error ? null : value);
+  return {
+    time,
+    height,
+    source: "backfill",
+    meowpow: { difficulty: difficulty.meowpow, hashrate: hashrate(mpHashrate), blocks: blocks.meowpow },
+    scrypt: { difficulty: difficulty.scrypt, hashrate: hashrate(scHashrate), blocks: blocks.scrypt }
+  };
+}
+
+/**
+ * Fill missing slots, newest first, from historical blocks
+ * @param {number} tip - Current chain height
+ */
+async function backfillGaps(tip) {
+  const now = Math.floor(Date.now() / 1000);
+  const currentSlot = slotOf(now);
+  const firstSlot = slotOf(History.samples.length > 0
+    ? Math.min(History.samples[0].time, now - HISTORY_BACKFILL_DAYS * 86400)
+    : now - HISTORY_BACKFILL_DAYS * 86400);
+
+  const filled = [];
+  try {
+    for (let slot = currentSlot - 1; slot >= firstSlot && filled.length < BACKFILL_SLOTS_PER_PASS; slot--) {
+      if (History.slots.has(slot) || slot < History.oldestAllowed) continue;
+
+      const time = Math.floor((slot * HISTORY_SAMPLE_MS) / 1000);
+      const sample = await backfillSample(time, tip);
+      if (!sample) {
+        // Before the genesis block; nothing older can be filled either
+        History.oldestAllowed = slot + 1;
+        break;
+      }
+      insertSample(sample);
+      filled.push(sample);
+    }
+  } finally {
+    await appendSamples(filled);
+  }
+
+  if (filled.length > 0) {
+    log(`Mining history backfilled ${filled.length} samples`);
+  }
+}
+
+/**
+ * Take a live sample if the current slot has none, then fill older gaps
+ */
+async function runSampler() {
+  if (History.sampling) return;
+  History.sampling = true;
+  try {
+    if (!History.slots.has(slotOf(Math.floor(Date.now() / 1000)))) {
+      await takeLiveSample();
+    }
+    await backfillGaps(History.samples[History.samples.length - 1].height);
+  } catch (err) {
+    log(`Mining history sample failed: ${err.message}`, "error");
+  } finally {
+    History.sampling = false;
+  }
+}
+
+/**
+ * Load the sample store and start sampling
+ */
+export function startHistorySampler() {
+  if (History.timer) return;
+  loadHistory();
+  runSampler();
+  History.timer = setInterval(runSampler, HISTORY_SAMPLE_MS);
+}
+
+/**
+ * Summarize values as average, minimum and maximum
+ * @param {Array<number|null>} values - Values, nulls ignored
+ * @returns {{avg: number, min: number, max: number}|null} Summary, or null without values
+ */
+function summarize(values) {
+  const present = values.filter(v => typeof v === "number");
+  if (present.length === 0) return null;
+  return {
+    avg: Math.round((present.reduce((a, b) => a + b, 0) / present.length) * 100) / 100,
+    min: Math.min(...present),
+    max: Math.max(...present)
+  };
+}
+
+/**
+ * Get downsampled difficulty and hash rate history
+ * @param {Object} options - Query options
+ * @param {string} [options.algo] - "meowpow" or "scrypt"; both when omitted
+ * @param {number} [options.from] - Start time (unix seconds), defaults to 7 days ago
+ * @param {number} [options.to] - End time (unix seconds), defaults to now
+ * @param {string} [options.resolution] - Bucket size such as "1h" or "1d"
+ * @returns {Object} History points, oldest first
+ * @throws {ApiError} 400 for invalid algorithms, ranges or resolutions
+ */
+export function getMiningHistory({ algo, from, to, resolution }) {
+  if (algo !== undefined && !ALGOS.includes(algo)) {
+    throw badRequest("algo must be meowpow or scrypt");
+  }
+
+  const end = to ?? Math.floor(Date.now() / 1000);
+  const start = from ?? end - 7 * 86400;
+  if (start >= end) {
+    throw badRequest("from must be earlier than to");
+  }
+
+  // Default to the finest resolution that stays within MAX_POINTS
+  const sampleSeconds = HISTORY_SAMPLE_MS / 1000;
+  let bucketSeconds;
+  if (resolution === undefined) {
+    bucketSeconds = Math.max(sampleSeconds, Math.ceil((end - start) / MAX_POINTS / sampleSeconds) * sampleSeconds);
+  } else {
+    bucketSeconds = parseDuration(resolution);
+    if (bucketSeconds === null || bucketSeconds < sampleSeconds) {
+      throw badRequest(`resolution must be a duration such as 1h or 1d, and at least the ${sampleSeconds}s sample interval`);
+    }
+    if ((end - start) / bucketSeconds > MAX_POINTS) {
+      throw badRequest(`Range and resolution would return more than ${MAX_POINTS} points`);
+    }
+  }
+
+  const buckets = new Map();
+  for (const sample of History.samples) {
+    if (sample.time < start || sample.time > end) continue;
+    const bucket = Math.floor(sample.time / bucketSeconds) * bucketSeconds;
+    if (!buckets.has(bucket)) buckets.set(bucket, []);
+    buckets.get(bucket).push(sample);
+  }
+
+  const algos = algo ? [algo] : ALGOS;
+  const points = [...buckets.entries()].map(([time, samples]) => {
+    const point = {
+      time,
+      samples: samples.length,
+      height: samples[samples.length - 1].height,
+      backfilled: samples.every(s => s.source === "backfill")
+    };
+    for (const name of algos) {
+      const counts = samples.map(s => s[name].blocks).filter(b => b !== null);
+      point[name] = {
+        difficulty: summarize(samples.map(s => s[name].difficulty)),
+        hashrate: summarize(samples.map(s => s[name].hashrate)),
+        blocks: counts.length > 0 ? counts.reduce((a, b) => a + b, 0) : null
+      };
+    }
+    return point;
+  });
+
+  return {
+    algo: algo || null,
+    from: start,
+    to: end,
+    resolution_seconds: bucketSeconds,
+    sample_interval_seconds: sampleSeconds,
+    points
+  };
+}
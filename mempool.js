@@ -0,0 +1,185 @@
+import dotenv from "dotenv";
+import { rpc, rpcBatch } from "./rpc.js";
+import { cachedFetch } from "./cache.js";
+import { COIN, toSatoshis } from "./consensus.js";
+import { badRequest } from "./errors.js";
+
+dotenv.config();
+
+// The mempool changes every few seconds, so it gets a much shorter TTL than chain data
+export const MEMPOOL_CACHE_TTL_MS = parseInt(process.env.MEMPOOL_CACHE_TTL_MS || 10000, 10);
+
+// Confirmation targets accepted by estimatesmartfee
+const MIN_TARGET = 1;
+const MAX_TARGET = 1008;
+export const DEFAULT_TARGET = 6;
+
+// Virtual bytes assumed to fit in one block when estimating from the mempool
+const BLOCK_VSIZE = 2000000;
+
+// Histogram bucket edges as multiples of the minimum relay fee rate
+const HISTOGRAM_MULTIPLES = [1, 1.5, 2, 3, 5, 10, 20, 50, 100];
+
+/**
+ * Convert a fee rate in MEWC/kB to satoshis per virtual byte
+ * @param {number} feeRate - Fee rate in MEWC/kB
+ * @returns {number} Fee rate in sat/vB
+ */
+function toSatPerVbyte(feeRate) {
+  return Math.round(feeRate * COIN) / 1000;
+}
+
+/**
+ * Convert a fee rate in sat/vB to MEWC/kB
+ * @param {number} satPerVbyte - Fee rate in sat/vB
+ * @returns {number} Fee rate in MEWC/kB
+ */
+function toMewcPerKb(satPerVbyte) {
+  return Math.round(satPerVbyte * 1000) / COIN;
+}
+
+/**
+ * Fetch mempool statistics and per-transaction fee rates from the node
+ * @returns {Promise<Object>} Mempool info and transactions, highest fee rate first
+ */
+async function fetchMempoolSnapshot() {
+  const [info, entries] = await rpcBatch([
+    ["getmempoolinfo"],
+    ["getrawmempool", [true]]
+  ]);
+  if (!info || typeof info.size === "undefined") {
+    throw new Error("Invalid response from getmempoolinfo");
+  }
+
+  const txs = Object.values(entries || {}).map(entry => {
+    const fee = toSatoshis(entry.fees?.base ?? entry.fee ?? 0);
+    const vsize = entry.vsize ?? entry.size;
+    return { fee, vsize, rate: vsize > 0 ? fee / vsize : 0 };
+  });
+  txs.sort((a, b) => b.rate - a.rate);
+
+  return { info, txs };
+}
+
+/**
+ * Get the mempool snapshot through the shared cache
+ * @returns {Promise<Object>} Mempool snapshot
+ */
+function getMempoolSnapshot() {
+  return cachedFetch("mempool", fetchMempoolSnapshot, { ttl: MEMPOOL_CACHE_TTL_MS, tipBound: true });
+}
+
+/**
+ * Group transactions into fee-rate buckets
+ * @param {Array<Object>} txs - Transactions with fee, vsize and rate
+ * @param {number} minRate - Minimum relay fee rate in sat/vB
+ * @returns {Array<Object>} Buckets, lowest fee rate first
+ */
+function buildHistogram(txs, minRate) {
+  const edges = HISTOGRAM_MULTIPLES.map(m => minRate * m);
+  const buckets = edges.map((min, i) => ({
+    min_fee_rate: Math.round(min * 1000) / 1000,
+    max_fee_rate: i + 1 < edges.length ? Math.round(edges[i + 1] * 1000) / 1000 : null,
+    count: 0,
+    vsize: 0,
+    total_fees: 0n
+  }));
+
+  for (const tx of txs) {
+    // Anything below the first edge (e.g. prioritised transactions) counts in the lowest bucket
+    let i = edges.length - 1;
+    while (i > 0 && tx.rate < edges[i]) i--;
+    buckets[i].count++;
+    buckets[i].vsize += tx.vsize;
+    buckets[i].total_fees += BigInt(tx.fee);
+  }
+
+  return buckets;
+}
+
+/**
+ * Get mempool statistics with a fee-rate histogram
+ * @returns {Promise<Object>} Mempool summary
+ */
+export async function getMempoolSummary() {
+  const { info, txs } = await getMempoolSnapshot();
+  const minRelayFee = info.minrelaytxfee ?? info.mempoolminfee ?? 0;
+  const minRate = toSatPerVbyte(minRelayFee) || 1;
+
+  return {
+    size: info.size,
+    bytes: info.bytes,
+    usage: info.usage,
+    max_mempool: info.maxmempool ?? null,
+    min_relay_fee: minRelayFee,
+    mempool_min_fee: info.mempoolminfee ?? minRelayFee,
+    total_fees: txs.reduce((sum, tx) => sum + BigInt(tx.fee), 0n),
+    fee_rate_unit: "sat/vB",
+    histogram: buildHistogram(txs, minRate)
+  };
+}
+
+/**
+ * Estimate a fee rate from the mempool
+ * A transaction confirms within the target when it ranks inside the first
+ * target blocks' worth of the mempool by fee rate.
+ * @param {number} blocks - Confirmation target
+ * @param {Object} snapshot - Mempool snapshot
+ * @returns {{satPerVbyte: number, note: string}} Estimated rate and how it was derived
+ */
+function estimateFromMempool(blocks, { info, txs }) {
+  const floorRate = toSatPerVbyte(Math.max(info.mempoolminfee ?? 0, info.minrelaytxfee ?? 0));
+  const capacity = blocks * BLOCK_VSIZE;
+
+  let used = 0;
+  for (const tx of txs) {
+    used += tx.vsize;
+    if (used > capacity) {
+      return {
+        satPerVbyte: Math.max(floorRate, Math.ceil(tx.rate * 1000) / 1000),
+        note: `estimatesmartfee has no data for this target; rate needed to rank within the next ${blocks} block(s) of the current mempool`
+      };
+    }
+  }
+
+  return {
+    satPerVbyte: floorRate,
+    note: `estimatesmartfee has no data for this target; the mempool fits in ${blocks} block(s), so the minimum relay fee should confirm`
+  };
+}
+
+/**
+ * Estimate the fee rate needed to confirm within a number of blocks
+ * Uses estimatesmartfee and falls back to a mempool-derived estimate when
+ * the node's estimator has no data yet.
+ * @param {number} blocks - Confirmation target in blocks
+ * @returns {Promise<Object>} Fee estimate
+ * @throws {ApiError} 400 for targets outside 1..1008
+ */
+export async function getFeeEstimate(blocks) {
+  if (!Number.isInteger(blocks) || blocks < MIN_TARGET || blocks > MAX_TARGET) {
+    throw badRequest(`blocks must be an integer between ${MIN_TARGET} and ${MAX_TARGET}`);
+  }
+
+  const estimate = await rpc("estimatesmartfee", [blocks]);
+  if (estimate && typeof estimate.feerate === "number" && estimate.feerate > 0) {
+    return {
+      blocks,
+      estimated_blocks: estimate.blocks ?? blocks,
+      fee_rate: estimate.feerate,
+      fee_rate_sat_vb: toSatPerVbyte(estimate.feerate),
+      source: "estimatesmartfee"
+    };
+  }
+
+  const fallback = estimateFromMempool(blocks, await getMempoolSnapshot());
+  return {
+    blocks,
+    estimated_blocks: blocks,
+    fee_rate: toMewcPerKb(fallback.satPerVbyte),
+    fee_rate_sat_vb: fallback.satPerVbyte,
+    source: "mempool",
+    note: fallback.note,
+    estimator_errors: estimate?.errors || []
+  };
+}
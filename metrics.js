@@ -0,0 +1,202 @@
+// Latency buckets in seconds
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const RPC_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 120];
+
+/**
+ * Registered metrics, in exposition order
+ */
+const Registry = {
+  metrics: [],
+  collectors: []
+};
+
+/**
+ * Serialize a label set as a stable map key
+ * @param {Object} labels - Label names and values
+ * @returns {string} Key
+ */
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+/**
+ * Format labels for the Prometheus text format
+ * @param {Object} labels - Label names and values
+ * @returns {string} `{name="value",...}`, or "" without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => {
+    const escaped = String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+    return `${name}="${escaped}"`;
+  });
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Format a sample value
+ * @param {number} value - Value
+ * @returns {string} Value in Prometheus notation
+ */
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+/**
+ * Create and register a counter
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @returns {{inc: Function}} Counter
+ */
+export function counter(name, help) {
+  const series = new Map();
+  Registry.metrics.push({
+    name,
+    help,
+    type: "counter",
+    render: () => [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${formatValue(s.value)}`)
+  });
+
+  return {
+    /**
+     * Increment the series for a label set
+     * @param {Object} [labels] - Label values
+     * @param {number} [value] - Amount to add
+     */
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    }
+  };
+}
+
+/**
+ * Create and register a gauge
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @returns {{set: Function}} Gauge
+ */
+export function gauge(name, help) {
+  const series = new Map();
+  Registry.metrics.push({
+    name,
+    help,
+    type: "gauge",
+    render: () => [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${formatValue(s.value)}`)
+  });
+
+  return {
+    /**
+     * Set the series for a label set; null or undefined removes it
+     * @param {Object} labels - Label values
+     * @param {number|null} value - Current value
+     */
+    set(labels, value) {
+      const key = labelKey(labels);
+      if (value === null || value === undefined) {
+        series.delete(key);
+      } else {
+        series.set(key, { labels, value });
+      }
+    }
+  };
+}
+
+/**
+ * Create and register a histogram
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {Array<number>} buckets - Upper bounds, ascending
+ * @returns {{observe: Function}} Histogram
+ */
+export function histogram(name, help, buckets) {
+  const series = new Map();
+  Registry.metrics.push({
+    name,
+    help,
+    type: "histogram",
+    render: () => {
+      const lines = [];
+      for (const s of series.values()) {
+        buckets.forEach((le, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`);
+        lines.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+      }
+      return lines;
+    }
+  });
+
+  return {
+    /**
+     * Record an observation
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value
+     */
+    observe(labels, value) {
+      const key = labelKey(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((le, i) => {
+        if (value <= le) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    }
+  };
+}
+
+/**
+ * Register a function that updates gauges right before each scrape
+ * @param {Function} fn - Async collector
+ */
+export function registerCollector(fn) {
+  Registry.collectors.push(fn);
+}
+
+/**
+ * Render every metric in the Prometheus text exposition format
+ * A failing collector leaves its gauges at their previous values.
+ * @returns {Promise<string>} Exposition text
+ */
+export async function renderMetrics() {
+  await Promise.allSettled(Registry.collectors.map(fn => fn()));
+
+  const lines = [];
+  for (const metric of Registry.metrics) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.render());
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// ==================== SHARED METRICS ====================
+
+export const httpRequests = counter("meowapi_http_requests_total", "HTTP requests by route, method and status");
+export const httpDuration = histogram("meowapi_http_request_duration_seconds", "HTTP request latency by route and status", HTTP_BUCKETS);
+
+export const rpcCalls = counter("meowapi_rpc_calls_total", "RPC calls by method");
+export const rpcErrors = counter("meowapi_rpc_errors_total", "Failed RPC calls by method");
+export const rpcDuration = histogram("meowapi_rpc_call_duration_seconds", "RPC latency by method, including retries; batches are timed as \"batch\"", RPC_BUCKETS);
+
+export const cacheRequests = counter("meowapi_cache_requests_total", "cachedFetch lookups by key prefix and result (hit, stale, miss, fallback, error)");
+
+const processStart = gauge("process_start_time_seconds", "Start time of the process since unix epoch in seconds");
+const residentMemory = gauge("process_resident_memory_bytes", "Resident memory size in bytes");
+const heapUsed = gauge("nodejs_heap_used_bytes", "V8 heap in use in bytes");
+
+processStart.set({}, Math.floor(Date.now() / 1000 - process.uptime()));
+registerCollector(() => {
+  const memory = process.memoryUsage();
+  residentMemory.set({}, memory.rss);
+  heapUsed.set({}, memory.heapUsed);
+});
@@ -0,0 +1,183 @@
+import { rpcBatch } from "./rpc.js";
+import { TARGET_BLOCK_TIME, detectAlgo } from "./consensus.js";
+import { getIndexedBlocksSince, getIndexStatus, getIndexedBlock } from "./blockindex.js";
+import { badRequest } from "./errors.js";
+import { parseDuration } from "./utils.js";
+
+export const DEFAULT_MINING_WINDOW = "1h";
+
+// Window limits for /mining-info, in seconds
+const MIN_WINDOW = 15 * 60;
+const MAX_WINDOW = 7 * 86400;
+
+// MeowPow and Scrypt share the combined target, so each aims for twice the spacing
+const ALGO_TARGET_SPACING = TARGET_BLOCK_TIME * 2;
+
+// Spacings outside (0, 1 hour] are treated as timestamp noise in the averages
+const MAX_REASONABLE_SPACING = 3600;
+
+const ALGOS = ["meowpow", "scrypt"];
+
+/**
+ * Parse and validate a mining statistics window
+ * @param {string} [value] - Window such as "15m", "6h" or "7d"
+ * @returns {{label: string, seconds: number}} Normalized window
+ * @throws {ApiError} 400 if the window is malformed or out of range
+ */
+export function parseMiningWindow(value = DEFAULT_MINING_WINDOW) {
+  const seconds = parseDuration(value);
+  if (seconds === null || seconds < MIN_WINDOW || seconds > MAX_WINDOW || seconds % 60 !== 0) {
+    throw badRequest("window must be a whole number of minutes between 15m and 7d, e.g. 15m, 6h or 7d");
+  }
+
+  // Equivalent spellings ("60m", "1h") share one label and cache entry
+  let label = `${seconds / 60}m`;
+  if (seconds % 86400 === 0) label = `${seconds / 86400}d`;
+  else if (seconds % 3600 === 0) label = `${seconds / 3600}h`;
+  return { label, seconds };
+}
+
+/**
+ * Get a percentile of sorted values using the nearest-rank method
+ * @param {Array<number>} sorted - Values, ascending
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number} Percentile value
+ */
+function percentile(sorted, p) {
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+/**
+ * Round a value to two decimal places
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Calculate block spacing statistics for one algorithm
+ * @param {Array<Object>} algoBlocks - The algorithm's blocks, oldest first
+ * @param {number} totalBlocks - Blocks of all algorithms in the window
+ * @returns {Object} Spacing statistics
+ */
+function calculateSpacingStats(algoBlocks, totalBlocks) {
+  const spacings = [];
+  let longestGap = null;
+
+  for (let i = 1; i < algoBlocks.length; i++) {
+    const spacing = algoBlocks[i].time - algoBlocks[i - 1].time;
+    if (!longestGap || spacing > longestGap.seconds) {
+      longestGap = {
+        seconds: spacing,
+        from_height: algoBlocks[i - 1].height,
+        to_height: algoBlocks[i].height
+      };
+    }
+    if (spacing > 0 && spacing <= MAX_REASONABLE_SPACING) {
+      spacings.push(spacing);
+    }
+  }
+
+  const stats = {
+    blocks_found: algoBlocks.length,
+    share: totalBlocks > 0 ? round2((algoBlocks.length / totalBlocks) * 100) : null,
+    avg_block_time: null,
+    median_block_time: null,
+    p90_block_time: null,
+    stddev_block_time: null,
+    target_block_time: ALGO_TARGET_SPACING,
+    spacing_ratio: null,
+    longest_gap: longestGap
+  };
+  if (spacings.length === 0) return stats;
+
+  const sorted = [...spacings].sort((a, b) => a - b);
+  const mean = spacings.reduce((a, b) => a + b, 0) / spacings.length;
+  const variance = spacings.reduce((sum, s) => sum + (s - mean) ** 2, 0) / spacings.length;
+
+  stats.avg_block_time = Math.round(mean);
+  stats.median_block_time = percentile(sorted, 50);
+  stats.p90_block_time = percentile(sorted, 90);
+  stats.stddev_block_time = round2(Math.sqrt(variance));
+  stats.spacing_ratio = round2(mean / ALGO_TARGET_SPACING);
+  return stats;
+}
+
+/**
+ * Calculate block statistics per algorithm
+ * @param {Array} blocks - Array of block objects with time and version
+ * @param {number} windowSeconds - Time window in seconds
+ * @returns {Object} Statistics per algorithm
+ */
+function calculateBlockStats(blocks, windowSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+
+  // Filter blocks within time window
+  const windowBlocks = blocks.filter(b =>
+    b.time && (now - b.time) <= windowSeconds
+  );
+
+  // Separate blocks by algorithm, oldest first
+  const byAlgo = Object.fromEntries(ALGOS.map(algo => [algo, []]));
+  windowBlocks.forEach(block => {
+    byAlgo[detectAlgo(block.version)]?.push(block);
+  });
+
+  const stats = {};
+  for (const algo of ALGOS) {
+    byAlgo[algo].sort((a, b) => a.time - b.time);
+    stats[algo] = calculateSpacingStats(byAlgo[algo], windowBlocks.length);
+  }
+  return stats;
+}
+
+/**
+ * Fetch mining information for the given window
+ * @param {{label: string, seconds: number}} window - Window from parseMiningWindow()
+ * @returns {Promise<Object>} Mining information
+ */
+export async function fetchMiningInfo(window) {
+  // Block height, then difficulty and network hash rate for both algorithms
+  const [
+    blockHeight,
+    meowpowDifficulty,
+    scryptDifficulty,
+    meowpowHashrate,
+    scryptHashrate
+  ] = await rpcBatch([
+    ["getblockcount"],
+    ["getdifficulty", [0]],
+    ["getdifficulty", [1]],
+    ["getnetworkhashps", [0, -1, 0]],
+    ["getnetworkhashps", [0, -1, 1]]
+  ]);
+
+  // Recent blocks for block time analysis come from the local block index
+  const since = Math.floor(Date.now() / 1000) - window.seconds;
+  const blocks = getIndexedBlocksSince(since);
+  const blockStats = calculateBlockStats(blocks, window.seconds);
+
+  // The index may not reach back far enough yet, e.g. right after a fresh start
+  const { low } = getIndexStatus();
+  const oldest = low !== null ? getIndexedBlock(low) : null;
+
+  return {
+    block_height: blockHeight,
+    window: window.label,
+    window_minutes: window.seconds / 60,
+    window_complete: Boolean(oldest && oldest.time <= since),
+    meowpow: {
+      difficulty: meowpowDifficulty,
+      hashrate: meowpowHashrate,
+      ...blockStats.meowpow
+    },
+    scrypt: {
+      difficulty: scryptDifficulty,
+      hashrate: scryptHashrate,
+      ...blockStats.scrypt
+    }
+  };
+}
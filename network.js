@@ -0,0 +1,192 @@
+import dotenv from "dotenv";
+import { rpc, rpcBatch } from "./rpc.js";
+import { log } from "./utils.js";
+
+dotenv.config();
+
+// Peer data changes slowly compared to the mempool but faster than chain data
+export const NETWORK_CACHE_TTL_MS = parseInt(process.env.NETWORK_CACHE_TTL_MS || 30000, 10);
+
+// /health results are shared for this long, since /health is not rate limited
+export const HEALTH_CACHE_TTL_MS = parseInt(process.env.HEALTH_CACHE_TTL_MS || 5000, 10);
+
+// /health thresholds
+const HEALTH_MAX_TIP_AGE = parseInt(process.env.HEALTH_MAX_TIP_AGE || 1800, 10);
+const HEALTH_MIN_PEERS = parseInt(process.env.HEALTH_MIN_PEERS || 3, 10);
+
+// Verification progress below which the node is considered to be syncing
+const SYNCED_PROGRESS = 0.9999;
+
+/**
+ * Fetch chain, network, peer and chain tip state from the node
+ * @returns {Promise<Object>} Raw node status
+ */
+async function fetchNodeStatus() {
+  const [chain, network, peers, tips] = await rpcBatch([
+    ["getblockchaininfo"],
+    ["getnetworkinfo"],
+    ["getpeerinfo"],
+    ["getchaintips"]
+  ]);
+  if (!chain || typeof chain.blocks === "undefined") {
+    throw new Error("Invalid response from getblockchaininfo");
+  }
+
+  const best = await rpc("getblockheader", [chain.bestblockhash]);
+  return {
+    chain,
+    network: network || {},
+    peers: Array.isArray(peers) ? peers : [],
+    tips: Array.isArray(tips) ? tips : [],
+    best
+  };
+}
+
+/**
+ * Find non-active chain tips at or above the active tip
+ * Stale branches below the tip are normal and stay in getchaintips forever;
+ * a branch that is as long as the active chain means the network disagrees.
+ * @param {Array<Object>} tips - getchaintips result
+ * @param {number} height - Active tip height
+ * @returns {Array<Object>} Competing tips
+ */
+function findCompetingTips(tips, height) {
+  return tips
+    .filter(t => t.status !== "active" && t.status !== "invalid" && t.height >= height)
+    .map(t => ({ height: t.height, hash: t.hash, branchlen: t.branchlen, status: t.status }));
+}
+
+/**
+ * Summarize connected peers
+ * @param {Array<Object>} peers - getpeerinfo result
+ * @param {number} height - Active tip height
+ * @returns {Object} Peer counts, client versions and sync state
+ */
+function summarizePeers(peers, height) {
+  const versions = new Map();
+  let inbound = 0;
+  let synced = 0;
+  let pingTotal = 0;
+  let pinged = 0;
+
+  for (const peer of peers) {
+    if (peer.inbound) inbound++;
+    if (peer.synced_blocks >= height - 1) synced++;
+    if (typeof peer.pingtime === "number") {
+      pingTotal += peer.pingtime;
+      pinged++;
+    }
+    const subversion = peer.subver || "unknown";
+    versions.set(subversion, (versions.get(subversion) || 0) + 1);
+  }
+
+  return {
+    count: peers.length,
+    inbound,
+    outbound: peers.length - inbound,
+    synced,
+    avg_ping_ms: pinged > 0 ? Math.round((pingTotal / pinged) * 1000) : null,
+    versions: [...versions.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([subversion, count]) => ({ subversion, count }))
+  };
+}
+
+/**
+ * Get network, peer and sync information
+ * @returns {Promise<Object>} Network information
+ */
+export async function getNetworkInfo() {
+  const { chain, network, peers, tips, best } = await fetchNodeStatus();
+
+  return {
+    node: {
+      version: network.version ?? null,
+      subversion: network.subversion ?? null,
+      protocol_version: network.protocolversion ?? null,
+      network_active: network.networkactive ?? null,
+      relay_fee: network.relayfee ?? null,
+      warnings: network.warnings || null
+    },
+    chain: {
+      chain: chain.chain,
+      blocks: chain.blocks,
+      headers: chain.headers,
+      best_block_hash: chain.bestblockhash,
+      best_block_time: best.time,
+      tip_age: Math.max(0, Math.floor(Date.now() / 1000) - best.time),
+      verification_progress: chain.verificationprogress,
+      initial_block_download: Boolean(chain.initialblockdownload)
+    },
+    peers: summarizePeers(peers, chain.blocks),
+    chain_tips: {
+      total: tips.length,
+      competing: findCompetingTips(tips, chain.blocks)
+    }
+  };
+}
+
+/**
+ * Run the tiered readiness checks
+ * "ok" passes everything, "degraded" means the node answers but should not
+ * be trusted for fresh data, and "down" means RPC is unreachable.
+ * @returns {Promise<Object>} Health status with individual checks
+ */
+export async function getHealthStatus() {
+  let status;
+  try {
+    status = await fetchNodeStatus();
+  } catch (err) {
+    // The RPC error names the node's host and port, so it only goes to the log
+    log(`Health check RPC failure: ${err.message}`, "error");
+    return {
+      status: "down",
+      checks: [{ name: "rpc", ok: false, message: "RPC connection failed" }]
+    };
+  }
+
+  const { chain, network, peers, tips, best } = status;
+  const tipAge = Math.max(0, Math.floor(Date.now() / 1000) - best.time);
+  const peerCount = network.connections ?? peers.length;
+  const competing = findCompetingTips(tips, chain.blocks);
+  const syncing = Boolean(chain.initialblockdownload) || chain.verificationprogress < SYNCED_PROGRESS ||
+    chain.headers > chain.blocks + 1;
+
+  const checks = [
+    { name: "rpc", ok: true, message: "RPC reachable" },
+    {
+      name: "sync",
+      ok: !syncing,
+      message: syncing
+        ? `Node is syncing (${chain.blocks}/${chain.headers} blocks, progress ${chain.verificationprogress})`
+        : "Node is synced"
+    },
+    {
+      name: "tip_age",
+      ok: tipAge <= HEALTH_MAX_TIP_AGE,
+      message: `Best block is ${tipAge}s old (limit ${HEALTH_MAX_TIP_AGE}s)`
+    },
+    {
+      name: "peers",
+      ok: network.networkactive !== false && peerCount >= HEALTH_MIN_PEERS,
+      message: network.networkactive === false
+        ? "Networking is disabled on the node"
+        : `${peerCount} peers connected (minimum ${HEALTH_MIN_PEERS})`
+    },
+    {
+      name: "chain_tips",
+      ok: competing.length === 0,
+      message: competing.length === 0
+        ? "No competing chain tips"
+        : `${competing.length} competing chain tip(s) at or above height ${chain.blocks}`
+    }
+  ];
+
+  return {
+    status: checks.every(c => c.ok) ? "ok" : "degraded",
+    block_height: chain.blocks,
+    tip_age: tipAge,
+    peers: peerCount,
+    checks
+  };
+}
@@ -0,0 +1,202 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { FOUNDATION_ADDRESS, detectAlgo } from "./consensus.js";
+import { getIndexedBlocksSince, getIndexStatus, getIndexedBlock } from "./blockindex.js";
+import { log } from "./utils.js";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const POOLS_FILE = process.env.POOLS_FILE || path.join(__dirname, "pools.json");
+
+// Share of an algorithm's blocks (percent) above which a pool is flagged
+const POOL_SHARE_THRESHOLD = parseFloat(process.env.POOL_SHARE_THRESHOLD || 40);
+
+const ALGOS = ["meowpow", "scrypt"];
+
+/**
+ * Pool definitions, reloaded when the file changes
+ */
+const Pools = {
+  definitions: [],
+  mtimeMs: null
+};
+
+/**
+ * Load pool definitions if the file changed since the last load
+ * A broken file keeps the previous definitions so a bad edit does not
+ * blank out attribution.
+ * @returns {Array<Object>} Pool definitions
+ */
+function loadPools() {
+  let stat;
+  try {
+    stat = fs.statSync(POOLS_FILE);
+  } catch (err) {
+    return Pools.definitions;
+  }
+  if (stat.mtimeMs === Pools.mtimeMs) return Pools.definitions;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(POOLS_FILE, "utf8"));
+    Pools.definitions = (data.pools || []).map(pool => ({
+      name: pool.name,
+      url: pool.url || null,
+      tags: (pool.tags || []).map(tag => tag.toLowerCase()),
+      addresses: new Set(pool.addresses || [])
+    }));
+    Pools.mtimeMs = stat.mtimeMs;
+    log(`Loaded ${Pools.definitions.length} pool definitions from ${POOLS_FILE}`);
+  } catch (err) {
+    log(`Invalid pool definitions in ${POOLS_FILE}: ${err.message}`, "error");
+  }
+  return Pools.definitions;
+}
+
+/**
+ * Decode the printable text in a coinbase scriptSig
+ * @param {string|null} scriptHex - Coinbase scriptSig as hex
+ * @returns {string} Printable ASCII, lowercased
+ */
+function decodeCoinbaseTag(scriptHex) {
+  if (!scriptHex) return "";
+  return Buffer.from(scriptHex, "hex")
+    .toString("latin1")
+    .replace(/[^\x20-\x7e]/g, "")
+    .toLowerCase();
+}
+
+/**
+ * Get the miner's payout address: the largest coinbase output not paying the foundation
+ * @param {Array<Object>} coinbase - Indexed coinbase outputs
+ * @returns {string|null} Payout address
+ */
+function getPayoutAddress(coinbase) {
+  let payout = null;
+  for (const out of coinbase) {
+    if (!out.address || out.address === FOUNDATION_ADDRESS) continue;
+    if (!payout || out.value > payout.value) payout = out;
+  }
+  return payout?.address ?? null;
+}
+
+/**
+ * Attribute a block to a pool by coinbase tag, then by payout address
+ * @param {Object} record - Indexed block record
+ * @param {Array<Object>} pools - Pool definitions
+ * @returns {{pool: Object|null, address: string|null}} Matched pool and payout address
+ */
+function attributeBlock(record, pools) {
+  const tag = decodeCoinbaseTag(record.coinbase_script);
+  const address = getPayoutAddress(record.coinbase);
+
+  const pool = pools.find(p => p.tags.some(t => tag.includes(t))) ||
+    pools.find(p => address && p.addresses.has(address)) ||
+    null;
+  return { pool, address };
+}
+
+/**
+ * Round a share to two decimal places
+ * @param {number} count - Blocks
+ * @param {number} total - Total blocks
+ * @returns {number|null} Percentage, or null without blocks
+ */
+function share(count, total) {
+  return total > 0 ? Math.round((count / total) * 10000) / 100 : null;
+}
+
+/**
+ * Build the pool distribution for a set of blocks
+ * @param {Array<{pool: Object|null, address: string|null}>} attributed - Attributed blocks
+ * @returns {Object} Known pools and unknown payout addresses, largest first
+ */
+function buildDistribution(attributed) {
+  const pools = new Map();
+  const unknown = new Map();
+
+  for (const { pool, address } of attributed) {
+    if (pool) {
+      const entry = pools.get(pool.name) || { name: pool.name, url: pool.url, blocks: 0 };
+      entry.blocks++;
+      pools.set(pool.name, entry);
+    } else {
+      const key = address || "unknown";
+      unknown.set(key, (unknown.get(key) || 0) + 1);
+    }
+  }
+
+  const total = attributed.length;
+  const unknownBlocks = [...unknown.values()].reduce((a, b) => a + b, 0);
+  return {
+    blocks: total,
+    pools: [...pools.values()]
+      .sort((a, b) => b.blocks - a.blocks)
+      .map(p => ({
+        ...p,
+        share: share(p.blocks, total),
+        flagged: share(p.blocks, total) > POOL_SHARE_THRESHOLD
+      })),
+    unknown_blocks: unknownBlocks,
+    unknown_share: share(unknownBlocks, total),
+    unknown: [...unknown.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([address, blocks]) => ({
+        address: address === "unknown" ? null : address,
+        blocks,
+        share: share(blocks, total),
+        flagged: share(blocks, total) > POOL_SHARE_THRESHOLD
+      }))
+  };
+}
+
+/**
+ * Attribute recent blocks to mining pools
+ * Unknown miners are grouped by payout address and flagged like pools, since
+ * a single address holding a large share is just as relevant.
+ * @param {{label: string, seconds: number}} window - Window from parseMiningWindow()
+ * @returns {Promise<Object>} Pool distribution per algorithm and overall
+ */
+export async function getPoolDistribution(window) {
+  const pools = loadPools();
+  const since = Math.floor(Date.now() / 1000) - window.seconds;
+  const blocks = getIndexedBlocksSince(since);
+
+  const byAlgo = Object.fromEntries(ALGOS.map(algo => [algo, []]));
+  const all = [];
+  for (const record of blocks) {
+    const attributed = attributeBlock(record, pools);
+    all.push(attributed);
+    byAlgo[record.algo || detectAlgo(record.version)]?.push(attributed);
+  }
+
+  const algos = {};
+  for (const algo of ALGOS) algos[algo] = buildDistribution(byAlgo[algo]);
+
+  const flagged = [];
+  for (const algo of ALGOS) {
+    for (const entry of [...algos[algo].pools, ...algos[algo].unknown]) {
+      if (entry.flagged) {
+        flagged.push({ algo, name: entry.name ?? null, address: entry.address ?? null, share: entry.share });
+      }
+    }
+  }
+
+  const { low } = getIndexStatus();
+  const oldest = low !== null ? getIndexedBlock(low) : null;
+
+  return {
+    window: window.label,
+    window_minutes: window.seconds / 60,
+    window_complete: Boolean(oldest && oldest.time <= since),
+    share_threshold: POOL_SHARE_THRESHOLD,
+    flagged,
+    meowpow: algos.meowpow,
+    scrypt: algos.scrypt,
+    all: buildDistribution(all)
+  };
+}
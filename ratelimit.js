@@ -0,0 +1,356 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { badRequest, notFound } from "./errors.js";
+import { counter } from "./metrics.js";
+import { log } from "./utils.js";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const KEYS_FILE = path.join(DATA_DIR, "apikeys.json");
+
+// Fixed window length in seconds
+const RATE_LIMIT_WINDOW = parseInt(process.env.RATE_LIMIT_WINDOW || 60, 10);
+
+// Points per window for anonymous clients (per IP) and for each key tier
+const RATE_LIMIT_ANONYMOUS = parseInt(process.env.RATE_LIMIT_ANONYMOUS || 60, 10);
+const TIERS = parseTiers(process.env.RATE_LIMIT_TIERS || "basic:600,pro:6000");
+
+export const API_KEY_HEADER = "X-API-Key";
+
+// Routes that cost more than one point, by route pattern. Cold caches on
+// these fan out into many RPC calls or walk large parts of the index.
+const ROUTE_COSTS = [
+  ["/mining-info", 5],
+  ["/mining/pools", 5],
+  ["/mining/history", 3],
+  ["/foundation", 3],
+  ["/foundation/export", 10],
+  ["/foundation/audit", 10],
+  ["/emission/comparison", 5],
+  ["/block/:heightOrHash/txs", 3],
+  ["/address/:address/txs", 5],
+  ["/address/:address/utxos", 5],
+  ["/address/:address/assets", 3],
+  ["/asset/:name/holders", 5],
+  ["/assets", 3],
+  ["/network", 2],
+  // Event streams hold a connection open for as long as the client likes
+  ["/events", 5],
+  ["/ws", 5]
+].map(([route, cost]) => ({ pattern: routePattern(route), cost }));
+
+// Never limited: health checks, docs and endpoints with their own auth
+const EXEMPT_PREFIXES = ["/health", "/metrics", "/docs", "/internal/", "/admin/"];
+
+const rateLimited = counter("meowapi_rate_limited_total", "Requests rejected by the rate limiter, by tier");
+
+/**
+ * API keys and the current window's usage
+ */
+const Limiter = {
+  keys: new Map(),
+  windows: new Map(),
+  loaded: false
+};
+
+/**
+ * Parse RATE_LIMIT_TIERS, e.g. "basic:600,pro:6000"
+ * @param {string} value - Raw environment value
+ * @returns {Map<string, number>} Points per window by tier name
+ */
+function parseTiers(value) {
+  const tiers = new Map();
+  for (const entry of value.split(",").map(e => e.trim()).filter(Boolean)) {
+    const [name, points] = entry.split(":");
+    const limit = parseInt(points, 10);
+    if (name && limit > 0) tiers.set(name.trim(), limit);
+  }
+  return tiers;
+}
+
+/**
+ * Compile an Express-style route into a regular expression
+ * Case-insensitive, like Express routing, so /MINING-INFO costs the same.
+ * @param {string} route - Route such as "/address/:address/txs"
+ * @returns {RegExp} Pattern matching request paths
+ */
+function routePattern(route) {
+  const source = route
+    .split("/")
+    .map(part => part.startsWith(":") ? "[^/]+" : part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("/");
+  return new RegExp(`^${source}/?$`, "i");
+}
+
+/**
+ * Get the cost of a request in points
+ * @param {string} requestPath - Request path
+ * @returns {number} Points
+ */
+export function getRouteCost(requestPath) {
+  return ROUTE_COSTS.find(r => r.pattern.test(requestPath))?.cost ?? 1;
+}
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Load API keys from disk
+ */
+function loadKeys() {
+  Limiter.loaded = true;
+  if (!fs.existsSync(KEYS_FILE)) return;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(KEYS_FILE, "utf8"));
+    for (const record of data.keys || []) {
+      Limiter.keys.set(record.hash, record);
+    }
+    log(`Loaded ${Limiter.keys.size} API keys`);
+  } catch (err) {
+    log(`Unable to load API keys from ${KEYS_FILE}: ${err.message}`, "error");
+  }
+}
+
+/**
+ * Persist API keys to disk
+ * @returns {Promise<void>}
+ */
+async function saveKeys() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  const tmpFile = `${KEYS_FILE}.tmp`;
+  await fs.promises.writeFile(tmpFile, JSON.stringify({ keys: [...Limiter.keys.values()] }, null, 2), { mode: 0o600 });
+  await fs.promises.rename(tmpFile, KEYS_FILE);
+}
+
+/**
+ * Get the key record for a request's API key header
+ * @param {string} key - API key
+ * @returns {Object|null} Key record, or null if unknown or revoked
+ */
+function findKey(key) {
+  if (!Limiter.loaded) loadKeys();
+  const record = Limiter.keys.get(hashKey(key));
+  return record && !record.revoked ? record : null;
+}
+
+/**
+ * Get a key's points per window
+ * @param {Object} record - Key record
+ * @returns {number} Points per window
+ */
+function keyLimit(record) {
+  return record.limit ?? TIERS.get(record.tier) ?? RATE_LIMIT_ANONYMOUS;
+}
+
+/**
+ * Charge points against an identity's current window
+ * @param {string} id - Identity (ip:... or key:...)
+ * @param {number} limit - Points per window
+ * @param {number} cost - Points for this request
+ * @returns {{allowed: boolean, remaining: number, reset: number}} Outcome and seconds until reset
+ */
+function consume(id, limit, cost) {
+  const now = Date.now();
+  let window = Limiter.windows.get(id);
+  if (!window || window.resetAt <= now) {
+    window = { used: 0, resetAt: now + RATE_LIMIT_WINDOW * 1000 };
+    Limiter.windows.set(id, window);
+  }
+
+  const allowed = window.used + cost <= limit;
+  if (allowed) window.used += cost;
+  return {
+    allowed,
+    remaining: Math.max(0, limit - window.used),
+    reset: Math.ceil((window.resetAt - now) / 1000)
+  };
+}
+
+/**
+ * Drop windows that have ended
+ */
+function pruneWindows() {
+  const now = Date.now();
+  for (const [id, window] of Limiter.windows) {
+    if (window.resetAt <= now) Limiter.windows.delete(id);
+  }
+}
+
+setInterval(pruneWindows, RATE_LIMIT_WINDOW * 1000).unref();
+
+/**
+ * Charge a request against its client's limit
+ * Anonymous clients are limited by req.ip, which honours X-Forwarded-For
+ * from trusted proxies. Requests with an API key are limited by the key.
+ * @param {Object} req - Express request
+ * @returns {Object} Client id, rate limit headers, and on rejection the
+ *   status, error and message to send
+ */
+export function chargeRequest(req) {
+  const key = req.get(API_KEY_HEADER);
+  let id;
+  let limit;
+  let tier;
+  if (key) {
+    const record = findKey(key);
+    if (!record) {
+      return {
+        id: null,
+        headers: {},
+        status: 401,
+        error: "Unauthorized",
+        message: `Unknown or revoked API key in ${API_KEY_HEADER}`
+      };
+    }
+    id = `key:${record.id}`;
+    limit = keyLimit(record);
+    tier = record.tier;
+    record.requests = (record.requests || 0) + 1;
+  } else {
+    id = `ip:${req.ip}`;
+    limit = RATE_LIMIT_ANONYMOUS;
+    tier = "anonymous";
+  }
+
+  const cost = getRouteCost(req.path);
+  const { allowed, remaining, reset } = consume(id, limit, cost);
+  const headers = {
+    "RateLimit-Limit": String(limit),
+    "RateLimit-Remaining": String(remaining),
+    "RateLimit-Reset": String(reset),
+    "RateLimit-Policy": `${limit};w=${RATE_LIMIT_WINDOW}`
+  };
+
+  if (!allowed) {
+    rateLimited.inc({ tier });
+    return {
+      id,
+      headers: { ...headers, "Retry-After": String(reset) },
+      status: 429,
+      error: "Too many requests",
+      message: `Rate limit of ${limit} points per ${RATE_LIMIT_WINDOW}s exceeded (this request costs ${cost}); retry in ${reset}s`
+    };
+  }
+  return { id, headers, status: null };
+}
+
+/**
+ * Express middleware enforcing per-IP and per-key limits
+ * The client id is left in res.locals.client for routes that cap
+ * connections per client.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function rateLimit(req, res, next) {
+  const requestPath = req.path.toLowerCase();
+  if (req.method === "OPTIONS" || EXEMPT_PREFIXES.some(prefix => requestPath.startsWith(prefix))) {
+    return next();
+  }
+
+  const { id, headers, status, error, message } = chargeRequest(req);
+  res.set(headers);
+  if (status) {
+    return res.status(status).json({ error, message });
+  }
+  res.locals.client = id;
+  next();
+}
+
+/**
+ * Describe a key record without its hash
+ * @param {Object} record - Key record
+ * @returns {Object} Public key details
+ */
+function describeKey(record) {
+  const window = Limiter.windows.get(`key:${record.id}`);
+  return {
+    id: record.id,
+    name: record.name,
+    tier: record.tier,
+    limit: keyLimit(record),
+    created_at: record.created_at,
+    revoked: Boolean(record.revoked),
+    requests: record.requests || 0,
+    window_used: window && window.resetAt > Date.now() ? window.used : 0
+  };
+}
+
+/**
+ * List API keys
+ * @returns {Array<Object>} Keys, oldest first
+ */
+export function listApiKeys() {
+  if (!Limiter.loaded) loadKeys();
+  return [...Limiter.keys.values()].map(describeKey);
+}
+
+/**
+ * Create an API key
+ * The key itself is only returned here; the store keeps its hash.
+ * @param {{name: string, tier: string, limit?: number}} options - Key options
+ * @returns {Promise<Object>} Key details including the key
+ * @throws {ApiError} 400 for a missing name, unknown tier or invalid limit
+ */
+export async function createApiKey({ name, tier, limit } = {}) {
+  if (!Limiter.loaded) loadKeys();
+  if (typeof name !== "string" || name.trim() === "") {
+    throw badRequest("name is required");
+  }
+  if (!TIERS.has(tier)) {
+    throw badRequest(`tier must be one of: ${[...TIERS.keys()].join(", ")}`);
+  }
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    throw badRequest("limit must be a positive integer");
+  }
+
+  const key = `mewc_${crypto.randomBytes(24).toString("hex")}`;
+  const record = {
+    id: crypto.randomBytes(6).toString("hex"),
+    name: name.trim(),
+    tier,
+    hash: hashKey(key),
+    created_at: new Date().toISOString()
+  };
+  if (limit !== undefined) record.limit = limit;
+
+  Limiter.keys.set(record.hash, record);
+  await saveKeys();
+  log(`Created API key ${record.id} (${record.name}, ${tier})`);
+  return { ...describeKey(record), key };
+}
+
+/**
+ * Revoke an API key
+ * @param {string} id - Key ID
+ * @returns {Promise<Object>} Revoked key details
+ * @throws {ApiError} 404 if no key has this ID
+ */
+export async function revokeApiKey(id) {
+  if (!Limiter.loaded) loadKeys();
+  const record = [...Limiter.keys.values()].find(r => r.id === id);
+  if (!record) {
+    throw notFound(`API key ${id} not found`);
+  }
+
+  record.revoked = true;
+  await saveKeys();
+  log(`Revoked API key ${record.id} (${record.name})`);
+  return describeKey(record);
+}
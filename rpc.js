@@ -1,4 +1,7 @@
+import http from "http";
 import dotenv from "dotenv";
+import { rpcCalls, rpcErrors, rpcDuration } from "./metrics.js";
+import { log, getRequestContext } from "./utils.js";
 
 dotenv.config();
 
@@ -7,70 +10,549 @@ const RPC_PORT = process.env.RPC_PORT || 8332;
 const RPC_USER = process.env.RPC_USER;
 const RPC_PASS = process.env.RPC_PASS;
 
-const RPC_URL = `http://${RPC_HOST}:${RPC_PORT}`;
+const RPC_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS || 10000, 10);
+const MAX_RETRY = parseInt(process.env.MAX_RETRY || 3, 10);
+const RETRY_BASE_MS = parseInt(process.env.RPC_RETRY_BASE_MS || 250, 10);
+const RETRY_MAX_MS = 5000;
+
+// How often every backend node is probed, and how far behind the best one it may fall
+const RPC_HEALTH_POLL_MS = parseInt(process.env.RPC_HEALTH_POLL_MS || 10000, 10);
+const RPC_MAX_LAG = parseInt(process.env.RPC_MAX_LAG || 3, 10);
+
+// Compare critical figures (supply, height) across nodes
+export const RPC_QUORUM = process.env.RPC_QUORUM === "true";
+
+// JSON-RPC error codes worth retrying
+const RPC_IN_WARMUP = -28;
+
+// Result fields kept as their exact decimal text, since a double cannot hold
+// them to the satoshi (gettxoutsetinfo's total_amount is around 8.4e17 sats)
+const EXACT_AMOUNT_PATTERN = /"(total_amount)":\s*(-?\d+(?:\.\d+)?)/g;
+
+let requestId = 0;
 
 /**
- * Parse command string into method and params
- * Examples:
- *   "gettxoutsetinfo" -> { method: "gettxoutsetinfo", params: [] }
- *   "getblockchaininfo" -> { method: "getblockchaininfo", params: [] }
- */
-function parseCommand(cmd) {
-  const parts = cmd.trim().split(/\s+/);
-  const method = parts[0];
-  const params = parts.slice(1).map(p => {
-    // Try to parse as number, otherwise keep as string
-    const num = Number(p);
-    return isNaN(num) ? p : num;
+ * Parse the backend node list
+ * RPC_NODES is a comma-separated list of [name=]http://[user:pass@]host:port
+ * entries; credentials default to RPC_USER/RPC_PASS. Names show up in public
+ * quorum reports, so unnamed nodes get "node1", "node2", ... rather than
+ * their address. Without RPC_NODES, the single RPC_HOST/RPC_PORT node is used.
+ * @param {string} [value] - RPC_NODES value
+ * @returns {Array<Object>} Backend nodes in priority order
+ */
+function parseNodes(value) {
+  const entries = (value || "")
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  if (entries.length === 0) {
+    entries.push(`http://${RPC_HOST}:${RPC_PORT}`);
+  }
+
+  return entries.map((entry, i) => {
+    const eq = entry.indexOf("=");
+    const name = eq > 0 && !entry.slice(0, eq).includes("/") ? entry.slice(0, eq) : null;
+    const url = new URL(name ? entry.slice(eq + 1) : entry);
+    const user = url.username ? decodeURIComponent(url.username) : RPC_USER;
+    const pass = url.password ? decodeURIComponent(url.password) : RPC_PASS;
+
+    return {
+      name: name || `node${i + 1}`,
+      host: url.hostname,
+      port: url.port || 8332,
+      user,
+      pass,
+      // Reuse sockets to the node instead of opening one per call
+      agent: new http.Agent({
+        keepAlive: true,
+        maxSockets: parseInt(process.env.RPC_MAX_SOCKETS || 8, 10)
+      }),
+      state: {
+        healthy: true,
+        height: null,
+        latency_ms: null,
+        last_ok_at: null,
+        probe_ok: null,
+        last_error: null,
+        last_error_at: null,
+        calls: 0,
+        failures: 0
+      }
+    };
   });
-  return { method, params };
 }
 
+const NODES = parseNodes(process.env.RPC_NODES);
+
 /**
- * Execute a JSON-RPC call to Meowcoin Core
- * @param {string} cmd - RPC command (e.g., "gettxoutsetinfo")
- * @returns {Promise<any>} Parsed JSON result
- * @throws {Error} If RPC call fails
+ * Error raised for failed RPC calls
+ * `code` carries the JSON-RPC error code when the node returned one, and
+ * `transient` marks failures that may succeed on retry.
  */
-export async function rpc(cmd) {
-  if (!RPC_USER || !RPC_PASS) {
-    throw new Error("RPC_USER and RPC_PASS must be set in environment variables");
+export class RpcError extends Error {
+  constructor(message, { code = null, method = null, transient = false } = {}) {
+    super(message);
+    this.name = "RpcError";
+    this.code = code;
+    this.method = method;
+    this.transient = transient;
   }
+}
 
-  const { method, params } = parseCommand(cmd);
-  
-  const auth = Buffer.from(`${RPC_USER}:${RPC_PASS}`).toString("base64");
+/**
+ * POST a JSON-RPC payload to a node
+ * @param {Object} node - Backend node
+ * @param {Object|Array} payload - Single request or batch array
+ * @param {number} timeoutMs - Request timeout in milliseconds
+ * @returns {Promise<{status: number, body: any}>} HTTP status and parsed body
+ */
+function post(node, payload, timeoutMs) {
+  const body = JSON.stringify(payload);
+  const auth = Buffer.from(`${node.user}:${node.pass}`).toString("base64");
 
-  try {
-    const response = await fetch(RPC_URL, {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: node.host,
+      port: node.port,
       method: "POST",
+      path: "/",
+      agent: node.agent,
       headers: {
         "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(body),
         "Authorization": `Basic ${auth}`
-      },
-      body: JSON.stringify({
+      }
+    }, (res) => {
+      const chunks = [];
+      res.on("data", chunk => chunks.push(chunk));
+      res.on("error", err => reject(new RpcError(err.message, { transient: true })));
+      res.on("end", () => {
+        const text = Buffer.concat(chunks).toString("utf8");
+        let parsed = null;
+        try {
+          parsed = text ? JSON.parse(text.replace(EXACT_AMOUNT_PATTERN, "\"$1\":\"$2\"")) : null;
+        } catch (err) {
+          // Non-JSON bodies (401, proxy errors) are reported by status below
+        }
+        resolve({ status: res.statusCode, statusText: res.statusMessage, body: parsed });
+      });
+    });
+
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new RpcError(`Timed out after ${timeoutMs}ms`, { transient: true }));
+    });
+    req.on("error", err => {
+      reject(err instanceof RpcError ? err : new RpcError(err.message, { transient: true }));
+    });
+
+    req.end(body);
+  });
+}
+
+/**
+ * Convert a JSON-RPC error object into an RpcError
+ * @param {Object} error - JSON-RPC error object
+ * @param {string} method - RPC method name
+ * @returns {RpcError} Error instance
+ */
+function toRpcError(error, method) {
+  return new RpcError(`RPC error: ${error.message || JSON.stringify(error)}`, {
+    code: error.code ?? null,
+    method,
+    transient: error.code === RPC_IN_WARMUP
+  });
+}
+
+/**
+ * Count RPC calls against the request being handled, for its access log line
+ * @param {number} count - Calls made
+ */
+function countRequestCalls(count) {
+  const context = getRequestContext();
+  if (context) context.rpc_calls += count;
+}
+
+/**
+ * Record the outcome of a call against a node
+ * A transient failure takes the node out of rotation until the next
+ * successful health probe.
+ * @param {Object} node - Backend node
+ * @param {Error|null} err - Failure, or null on success
+ */
+function recordOutcome(node, err) {
+  node.state.calls++;
+  if (!err) {
+    node.state.last_ok_at = new Date().toISOString();
+    return;
+  }
+
+  node.state.failures++;
+  node.state.last_error = err.message;
+  node.state.last_error_at = new Date().toISOString();
+  if (err.transient && node.state.healthy) {
+    log(`RPC node ${node.name} is unhealthy: ${err.message}`, "warn", { node: node.name });
+    node.state.healthy = false;
+  }
+}
+
+/**
+ * Order backend nodes for a call: healthy nodes in configured priority,
+ * then the rest so a call still goes out when every node looks unhealthy
+ * @returns {Array<Object>} Nodes to try in order
+ */
+function candidateNodes() {
+  return [
+    ...NODES.filter(n => n.state.healthy),
+    ...NODES.filter(n => !n.state.healthy)
+  ];
+}
+
+/**
+ * Run an operation against the backend nodes with failover and retries
+ * Transient failures move on to the next node; once every node has been
+ * tried, further attempts back off exponentially. With a single node this
+ * is a plain retry loop.
+ * @param {Function} fn - Operation, called with the node to use
+ * @param {number} retries - Maximum number of retries
+ * @returns {Promise<any>} Operation result
+ */
+async function withFailover(fn, retries) {
+  const nodes = candidateNodes();
+  const attempts = retries + nodes.length;
+
+  for (let attempt = 0; ; attempt++) {
+    const node = nodes[attempt % nodes.length];
+    try {
+      const result = await fn(node);
+      recordOutcome(node, null);
+      return result;
+    } catch (err) {
+      recordOutcome(node, err);
+      if (!err.transient || attempt + 1 >= attempts) throw err;
+
+      // Back off before starting another round over the nodes
+      if ((attempt + 1) % nodes.length === 0) {
+        const round = Math.floor(attempt / nodes.length);
+        const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * Math.pow(2, round));
+        await new Promise(resolve => setTimeout(resolve, delay / 2 + Math.random() * delay / 2));
+      }
+    }
+  }
+}
+
+/**
+ * Ensure RPC credentials are configured
+ */
+function assertCredentials() {
+  if (NODES.some(node => !node.user || !node.pass)) {
+    throw new Error("RPC_USER and RPC_PASS must be set in environment variables");
+  }
+}
+
+/**
+ * Check the HTTP response of a call that did not return a JSON-RPC body
+ * @param {{status: number, statusText: string}} response - HTTP response
+ * @param {string} method - RPC method name (or "batch")
+ */
+function assertHttpOk(response, method) {
+  if (response.status >= 200 && response.status < 300) return;
+  throw new RpcError(`HTTP ${response.status}: ${response.statusText}`, {
+    method,
+    transient: response.status >= 500
+  });
+}
+
+/**
+ * Execute a JSON-RPC call to Meowcoin Core
+ * Examples:
+ *   rpc("gettxoutsetinfo")
+ *   rpc("getblock", [hash, 2])
+ *   rpc("getaddressbalance", [{ addresses: [addr] }])
+ * @param {string} method - RPC method (e.g., "gettxoutsetinfo")
+ * @param {Array} [params] - Positional parameters, passed through as JSON
+ * @param {Object} [options] - Call options
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @param {number} [options.retries] - Maximum retries for transient errors
+ * @returns {Promise<any>} Parsed JSON result
+ * @throws {RpcError} If RPC call fails
+ */
+export async function rpc(method, params = [], options = {}) {
+  assertCredentials();
+
+  const { timeout = RPC_TIMEOUT_MS, retries = MAX_RETRY } = options;
+  const started = process.hrtime.bigint();
+  rpcCalls.inc({ method });
+  countRequestCalls(1);
+
+  try {
+    return await withFailover(node => callNode(node, method, params, timeout), retries);
+  } catch (err) {
+    rpcErrors.inc({ method });
+    throw wrapCallError(err, method, params);
+  } finally {
+    rpcDuration.observe({ method }, elapsedSeconds(started));
+  }
+}
+
+/**
+ * Seconds elapsed since a process.hrtime.bigint() reading
+ * @param {bigint} started - Start time
+ * @returns {number} Elapsed seconds
+ */
+function elapsedSeconds(started) {
+  return Number(process.hrtime.bigint() - started) / 1e9;
+}
+
+/**
+ * Send a single JSON-RPC call to one node
+ * @param {Object} node - Backend node
+ * @param {string} method - RPC method
+ * @param {Array} params - Positional parameters
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<any>} Parsed JSON result
+ * @throws {RpcError} If the call fails
+ */
+async function callNode(node, method, params, timeout) {
+  const response = await post(node, {
+    jsonrpc: "1.0",
+    id: ++requestId,
+    method,
+    params
+  }, timeout);
+
+  // Meowcoin Core answers RPC errors with HTTP 500 and a JSON body
+  if (response.body && response.body.error) {
+    throw toRpcError(response.body.error, method);
+  }
+  assertHttpOk(response, method);
+  if (!response.body) {
+    throw new RpcError("Empty response from node", { method, transient: true });
+  }
+
+  return response.body.result;
+}
+
+/**
+ * Log a failed call and wrap it with the method and params for context
+ * @param {Error} err - Failure
+ * @param {string} method - RPC method
+ * @param {Array} params - Positional parameters
+ * @returns {RpcError} Wrapped error
+ */
+function wrapCallError(err, method, params) {
+  const label = params.length > 0 ? `${method} ${JSON.stringify(params)}` : method;
+  log(`RPC Error [${label}]: ${err.message}`, "error", { method, rpc_code: err.code ?? null });
+  return new RpcError(`RPC command failed: ${label} - ${err.message}`, {
+    code: err.code ?? null,
+    method,
+    transient: Boolean(err.transient)
+  });
+}
+
+/**
+ * Execute several JSON-RPC calls in a single batch request
+ * Examples:
+ *   rpcBatch([["getdifficulty", [0]], ["getdifficulty", [1]]])
+ *   rpcBatch(heights.map(h => ["getblockhash", [h]]), { allowErrors: true })
+ * @param {Array<[string, Array]>} calls - Method and params pairs
+ * @param {Object} [options] - Call options
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @param {number} [options.retries] - Maximum retries for transient errors
+ * @param {boolean} [options.allowErrors] - Return RpcError entries instead of throwing
+ * @returns {Promise<Array<any>>} Results in the same order as the calls
+ * @throws {RpcError} If the batch fails, or any call fails without allowErrors
+ */
+export async function rpcBatch(calls, options = {}) {
+  assertCredentials();
+  if (calls.length === 0) return [];
+
+  const { timeout = RPC_TIMEOUT_MS, retries = MAX_RETRY, allowErrors = false } = options;
+  const firstId = requestId + 1;
+  requestId += calls.length;
+  for (const [method] of calls) rpcCalls.inc({ method });
+  countRequestCalls(calls.length);
+
+  const started = process.hrtime.bigint();
+  let responses;
+  try {
+    responses = await withFailover(async node => {
+      const response = await post(node, calls.map(([method, params = []], i) => ({
         jsonrpc: "1.0",
-        id: Date.now(),
-        method: method,
-        params: params
-      })
+        id: firstId + i,
+        method,
+        params
+      })), timeout);
+
+      assertHttpOk(response, "batch");
+      if (!Array.isArray(response.body)) {
+        throw new RpcError("Invalid batch response from node", { method: "batch", transient: true });
+      }
+      return response.body;
+    }, retries);
+  } catch (err) {
+    for (const [method] of calls) rpcErrors.inc({ method });
+    log(`RPC Error [batch of ${calls.length}]: ${err.message}`, "error", { method: "batch" });
+    throw new RpcError(`RPC batch failed (${calls.length} calls) - ${err.message}`, {
+      method: "batch",
+      transient: Boolean(err.transient)
     });
+  } finally {
+    rpcDuration.observe({ method: "batch" }, elapsedSeconds(started));
+  }
+
+  // Responses may arrive in any order; match them back by id
+  const byId = new Map(responses.map(r => [r.id, r]));
+  const results = calls.map(([method], i) => {
+    const response = byId.get(firstId + i);
+    const error = !response
+      ? new RpcError(`RPC error: missing batch response for ${method}`, { method })
+      : response.error ? toRpcError(response.error, method) : null;
+
+    if (!error) return response.result;
+    rpcErrors.inc({ method });
+    return error;
+  });
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  if (!allowErrors) {
+    const error = results.find(r => r instanceof RpcError);
+    if (error) {
+      throw new RpcError(`RPC command failed: ${error.method} - ${error.message}`, {
+        code: error.code,
+        method: error.method
+      });
     }
+  }
+  return results;
+}
 
-    const data = await response.json();
+/**
+ * Execute a call on every available node and compare the results
+ * The first node in priority order that answers provides the result; the
+ * others are checked against it with `compare`, which returns a description
+ * of the divergence or null when the results agree.
+ * Example:
+ *   rpcQuorum("getblockcount", [], {
+ *     compare: (a, b) => Math.abs(a - b) > 1 ? `height differs by ${b - a}` : null
+ *   })
+ * @param {string} method - RPC method
+ * @param {Array} [params] - Positional parameters
+ * @param {Object} [options] - Call options
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @param {Function} [options.compare] - (reference, result) => string|null
+ * @returns {Promise<{result: any, quorum: Object}>} Result and how the nodes compared
+ * @throws {RpcError} If no node answers
+ */
+export async function rpcQuorum(method, params = [], options = {}) {
+  assertCredentials();
 
-    // Check for JSON-RPC error
-    if (data.error) {
-      throw new Error(`RPC error: ${data.error.message || JSON.stringify(data.error)}`);
+  const { timeout = RPC_TIMEOUT_MS, compare = () => null } = options;
+  const nodes = candidateNodes().filter((node, i) => i === 0 || node.state.healthy);
+  countRequestCalls(nodes.length);
+
+  const outcomes = await Promise.all(nodes.map(async node => {
+    try {
+      const result = await callNode(node, method, params, timeout);
+      recordOutcome(node, null);
+      return { node, result };
+    } catch (err) {
+      recordOutcome(node, err);
+      return { node, error: err };
     }
+  }));
 
-    return data.result;
-  } catch (err) {
-    console.error(`RPC Error [${cmd}]:`, err.message);
-    throw new Error(`RPC command failed: ${cmd} - ${err.message}`);
+  const reference = outcomes.find(o => !o.error);
+  if (!reference) {
+    throw wrapCallError(outcomes[0].error, method, params);
+  }
+
+  const divergent = [];
+  for (const outcome of outcomes) {
+    if (outcome === reference || outcome.error) continue;
+    const reason = compare(reference.result, outcome.result);
+    if (reason) divergent.push({ node: outcome.node.name, reason });
   }
+  for (const outcome of outcomes.filter(o => o.error)) {
+    log(`RPC quorum call failed on ${outcome.node.name} [${method}]: ${outcome.error.message}`, "warn", { method, node: outcome.node.name });
+  }
+  if (divergent.length > 0) {
+    log(`RPC quorum divergence [${method}] against ${reference.node.name}`, "error", { method, node: reference.node.name, divergent });
+  }
+
+  return {
+    result: reference.result,
+    quorum: {
+      node: reference.node.name,
+      nodes: outcomes.length,
+      responded: outcomes.filter(o => !o.error).length,
+      agreed: divergent.length === 0,
+      divergent,
+      // Error messages name hosts and ports, so only node names are reported
+      failed: outcomes.filter(o => o.error).map(o => o.node.name)
+    }
+  };
 }
 
+/**
+ * Probe every backend node and update its health
+ * A node is healthy when it answers getblockcount and is within RPC_MAX_LAG
+ * blocks of the highest node.
+ */
+async function probeNodes() {
+  await Promise.all(NODES.map(async node => {
+    const started = Date.now();
+    try {
+      node.state.height = await callNode(node, "getblockcount", [], RPC_TIMEOUT_MS);
+      node.state.latency_ms = Date.now() - started;
+      node.state.last_ok_at = new Date().toISOString();
+      node.state.probe_ok = true;
+    } catch (err) {
+      node.state.last_error = err.message;
+      node.state.last_error_at = new Date().toISOString();
+      node.state.probe_ok = false;
+    }
+  }));
+
+  const best = Math.max(...NODES.filter(n => n.state.probe_ok).map(n => n.state.height));
+  for (const node of NODES) {
+    const healthy = node.state.probe_ok && node.state.height >= best - RPC_MAX_LAG;
+    if (healthy && !node.state.healthy) {
+      log(`RPC node ${node.name} is healthy again`, "info", { node: node.name });
+    } else if (!healthy && node.state.healthy) {
+      const reason = !node.state.probe_ok ? node.state.last_error : `${best - node.state.height} blocks behind`;
+      log(`RPC node ${node.name} is unhealthy: ${reason}`, "warn", { node: node.name });
+    }
+    node.state.healthy = healthy;
+  }
+}
+
+let monitorTimer = null;
+
+/**
+ * Start probing the backend nodes on an interval
+ */
+export function startNodeMonitor() {
+  if (monitorTimer) return;
+  probeNodes();
+  monitorTimer = setInterval(probeNodes, RPC_HEALTH_POLL_MS);
+}
+
+/**
+ * Get the state of every backend node, in priority order
+ * Error messages name the backend's host and port, so only their time is
+ * reported; the messages themselves are logged.
+ * @returns {Array<Object>} Node status
+ */
+export function getNodeStatus() {
+  const best = Math.max(...NODES.map(n => n.state.height ?? -1));
+  return NODES.map(node => ({
+    name: node.name,
+    healthy: node.state.healthy,
+    height: node.state.height,
+    lag: node.state.height !== null && best >= 0 ? best - node.state.height : null,
+    latency_ms: node.state.latency_ms,
+    calls: node.state.calls,
+    failures: node.state.failures,
+    last_ok_at: node.state.last_ok_at,
+    last_error_at: node.state.last_error_at
+  }));
+}
@@ -1,38 +1,78 @@
+import crypto from "crypto";
 import express from "express";
 import dotenv from "dotenv";
 import cors from "cors";
 import swaggerJsdoc from "swagger-jsdoc";
 import swaggerUi from "swagger-ui-express";
-import { rpc } from "./rpc.js";
-import { Cache, isCacheValid } from "./cache.js";
-import { log, shouldLog } from "./utils.js";
+import { rpc, rpcBatch, startNodeMonitor, getNodeStatus, RPC_QUORUM } from "./rpc.js";
+import { cachedFetch, scheduleWarmup, invalidateTipBound, getCacheAge, getMaxCacheAge, peekCache } from "./cache.js";
+import { log, flushLogs, runWithRequestContext, getRequestContext } from "./utils.js";
+import {
+  MINER_PERCENTAGE,
+  FOUNDATION_PERCENTAGE,
+  getBlockSubsidySats,
+  splitRewardSats,
+  parseSats,
+  formatSats
+} from "./consensus.js";
+import { calculateCirculatingSupply, fetchUtxoSetInfo, getUtxoSetInfo } from "./supply.js";
+import { getHalvingInfo } from "./halving.js";
+import { getFoundationAudit } from "./foundation.js";
+import { startTreasuryTracker, syncTreasuryNow, getTreasuryReport, getTreasuryCsv } from "./treasury.js";
+import { getEmissionSchedule, getSupplyAtHeight, getSupplyComparison, LAST_SUBSIDY_HEIGHT } from "./emission.js";
+import { startIndexer, syncIndexNow, getIndexedBlock } from "./blockindex.js";
+import { fetchMiningInfo, parseMiningWindow } from "./mining.js";
+import { startHistorySampler, getMiningHistory } from "./history.js";
+import { getPoolDistribution } from "./pools.js";
+import { getMempoolSummary, getFeeEstimate, MEMPOOL_CACHE_TTL_MS, DEFAULT_TARGET } from "./mempool.js";
+import { getBlockDetails, getBlockTransactions, getTransactionDetails } from "./explorer.js";
+import {
+  detectAddressIndex,
+  getAddressSummary,
+  getAddressTransactions,
+  getAddressUtxos,
+  getAddressMempool
+} from "./address.js";
+import { listAssets, getAsset, getAssetHolders, getAddressAssets } from "./assets.js";
+import { badRequest, sendError } from "./errors.js";
+import { parseAmountOptions, stringifyWithAmounts } from "./amounts.js";
+import { negotiateFormat, sendFormatted } from "./formats.js";
+import { getNetworkInfo, getHealthStatus, NETWORK_CACHE_TTL_MS, HEALTH_CACHE_TTL_MS } from "./network.js";
+import { gauge, registerCollector, renderMetrics, httpRequests, httpDuration } from "./metrics.js";
+import { rateLimit, chargeRequest, listApiKeys, createApiKey, revokeApiKey, API_KEY_HEADER } from "./ratelimit.js";
+import { startEvents, handleTipEvent, handleReorgEvent, handleSse, handleWebSocket, isWebSocketHandshake, checkClientCapacity, parseTopics, parseSince } from "./events.js";
+import { startWebhooks, handleWebhookTip, handleWebhookReorg, listWebhooks, createWebhook, deleteWebhook, testWebhook, getWebhookDeliveries } from "./webhooks.js";
+import { startTipFollower, chainEvents, getChainTip, getChainTips, getReorgEvents } from "./chaintip.js";
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const TTL = parseInt(process.env.CACHE_TTL_MS || 60000, 10);
 
-// Meowcoin consensus parameters
-const INITIAL_SUBSIDY = 5000;        // MEWC
-const HALVING_INTERVAL = 2100000;   // blocks (~4 years @ 1 min blocks)
+// Optional bearer token for /metrics, and a separate port to serve it on instead
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+const METRICS_PORT = process.env.METRICS_PORT ? parseInt(process.env.METRICS_PORT, 10) : null;
+const METRICS_HOST = process.env.METRICS_HOST || "127.0.0.1";
+
+// Bearer token for the /admin endpoints; they are disabled without one
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
 
 /**
- * Calculate block subsidy based on consensus rules
- * @param {number} height - Block height
- * @returns {number} Block subsidy in MEWC
+ * Parse TRUST_PROXY into an Express "trust proxy" setting
+ * The default trusts the local nginx, so req.ip is the client address it
+ * appends to X-Forwarded-For rather than anything the client sent.
+ * @param {string} [value] - Raw environment value
+ * @returns {boolean|number|string} Express setting
  */
-function getBlockSubsidy(height) {
-  const halvings = Math.floor(height / HALVING_INTERVAL);
-  
-  // Cap at 64 halvings (like Bitcoin)
-  if (halvings >= 64) {
-    return 0;
-  }
-  
-  return INITIAL_SUBSIDY / Math.pow(2, halvings);
+function parseTrustProxy(value = "loopback") {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
 }
 
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
 // Swagger/OpenAPI configuration
 const swaggerOptions = {
   definition: {
@@ -40,7 +80,7 @@ const swaggerOptions = {
     info: {
       title: "Meowcoin Public API",
       version: "1.0.0",
-      description: "A production-ready REST API service for querying Meowcoin blockchain data including supply metrics, block rewards, mining information, and network statistics.",
+      description: "A production-ready REST API service for querying Meowcoin blockchain data including supply metrics, block rewards, mining information, and network statistics.\n\nAmounts are computed in integer satoshis and returned in MEWC by default; `?unit=sat` returns satoshis and `?amounts=string` returns them as strings.",
       contact: {
         name: "Meowcoin Foundation",
       },
@@ -67,13 +107,45 @@ const swaggerOptions = {
         name: "Rewards",
         description: "Block reward and subsidy endpoints",
       },
+      {
+        name: "Emission",
+        description: "Theoretical emission schedule and issued supply",
+      },
+      {
+        name: "Foundation",
+        description: "Foundation treasury and reward verification",
+      },
       {
         name: "Mining",
         description: "Mining statistics and network information",
       },
+      {
+        name: "Mempool",
+        description: "Unconfirmed transactions and fee estimation",
+      },
+      {
+        name: "Explorer",
+        description: "Block and transaction lookups",
+      },
+      {
+        name: "Address",
+        description: "Address balances, history and UTXOs (requires -addressindex)",
+      },
+      {
+        name: "Assets",
+        description: "Meowcoin asset layer: issued assets, holders and metadata",
+      },
+      {
+        name: "Chain",
+        description: "Chain tip and reorganization tracking",
+      },
+      {
+        name: "Events",
+        description: "Real-time block, reorg, mempool and halving events",
+      },
       {
         name: "Health",
-        description: "Health check endpoints",
+        description: "Node, network and API health",
       },
     ],
   },
@@ -82,6 +154,18 @@ const swaggerOptions = {
 
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 
+// Request metrics, labelled by route pattern so /block/:heightOrHash is one series
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    const route = req.route ? req.route.path : "unmatched";
+    const status = String(res.statusCode);
+    httpRequests.inc({ route, method: req.method, status });
+    httpDuration.observe({ route, status }, Number(process.hrtime.bigint() - started) / 1e9);
+  });
+  next();
+});
+
 // Swagger UI endpoint
 app.use("/docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
   customCss: ".swagger-ui .topbar { display: none }",
@@ -98,65 +182,138 @@ app.get("/docs.json", (req, res) => {
 app.use(cors({
   origin: "*",
   methods: ["GET", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id", API_KEY_HEADER],
+  exposedHeaders: ["X-Request-Id", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "RateLimit-Policy", "Retry-After"],
   credentials: false
 }));
 
 // Middleware
 app.use(express.json());
 
-// Request logging middleware
+// Request IDs from the proxy are reused when they look sane, otherwise generated
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Request logging middleware: one JSON line per request, written when it finishes
+app.use((req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+  res.set("X-Request-Id", requestId);
+
+  runWithRequestContext({ request_id: requestId }, () => {
+    const context = getRequestContext();
+    res.on("finish", () => {
+      log(`${req.method} ${req.originalUrl} ${res.statusCode}`, "info", {
+        request_id: requestId,
+        method: req.method,
+        path: req.originalUrl,
+        route: req.route ? req.route.path : null,
+        status: res.statusCode,
+        duration_ms: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+        rpc_calls: context.rpc_calls,
+        ip: req.ip
+      });
+    });
+    next();
+  });
+});
+
+// Amounts stay BigInt satoshis until here, and are written in the unit and
+// format chosen with ?unit=mewc|sat and ?amounts=number|string
 app.use((req, res, next) => {
-  if (shouldLog("info")) {
-    log(`${req.method} ${req.path} - ${req.ip}`);
+  let options;
+  try {
+    options = parseAmountOptions(req.query);
+  } catch (err) {
+    return sendError(res, err, req.path, "Invalid amount options");
   }
+
+  res.locals.amounts = options;
+  res.json = (body) => {
+    if (!res.get("Content-Type")) res.type("application/json");
+    return res.send(stringifyWithAmounts(body, options));
+  };
   next();
 });
 
+// Per-IP and per-API-key rate limits, weighted by route cost
+app.use(rateLimit);
+
 /**
- * Fetch data with caching and fallback
- * @param {string} key - Cache key
- * @param {Function} fn - Async function to fetch fresh data
- * @returns {Promise<any>} Cached or fresh data
+ * Report the age of the cached data behind a response
+ * @param {Object} res - Express response
+ * @param {string} key - Cache key the response was built from
  */
-async function cachedFetch(key, fn) {
-  const now = Date.now();
+function setCacheAge(res, key) {
+  const age = getCacheAge(key);
+  if (age !== null) {
+    res.set("Age", String(Math.floor(age / 1000)));
+  }
+}
 
-  // Check if cache is still valid
-  if (isCacheValid(TTL) && Cache.data[key] !== null && Cache.data[key] !== undefined) {
-    if (shouldLog("debug")) {
-      log(`Cache hit for ${key}`);
-    }
-    return Cache.data[key];
+/**
+ * Parse an optional integer query parameter
+ * @param {Object} query - Express query object
+ * @param {string} name - Parameter name
+ * @param {number} defaultValue - Value when the parameter is absent
+ * @param {number} min - Minimum allowed value
+ * @param {number} max - Maximum allowed value
+ * @returns {number} Parsed value
+ * @throws {ApiError} 400 if the value is not an integer in range
+ */
+function parseIntParam(query, name, defaultValue, min, max) {
+  if (query[name] === undefined) return defaultValue;
+
+  const value = Number(query[name]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw badRequest(`${name} must be an integer between ${min} and ${max}`);
   }
+  return value;
+}
 
-  // Try to fetch fresh data
-  try {
-    const value = await fn();
-    Cache.data[key] = value;
-    Cache.updated = now;
-    
-    if (shouldLog("info")) {
-      log(`Updated cache for ${key}: ${JSON.stringify(value)}`);
-    }
-    
-    return value;
-  } catch (err) {
-    log(`RPC failure for ${key}: ${err.message}`, "error");
-    
-    // Fallback to cached value if available
-    if (Cache.data[key] !== null && Cache.data[key] !== undefined) {
-      log(`Using cached fallback for ${key}`, "warn");
-      return Cache.data[key];
-    }
-    
-    // No cache available, re-throw error
-    throw err;
+/**
+ * Parse an optional time query parameter
+ * @param {Object} query - Express query object
+ * @param {string} name - Parameter name
+ * @returns {number|undefined} Unix timestamp in seconds
+ * @throws {ApiError} 400 if the value is neither a unix timestamp nor an ISO 8601 date
+ */
+function parseTimeParam(query, name) {
+  if (query[name] === undefined) return undefined;
+
+  const value = String(query[name]);
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value) / 1000;
+  if (!Number.isFinite(time)) {
+    throw badRequest(`${name} must be a unix timestamp or an ISO 8601 date`);
   }
+  return Math.floor(time);
+}
+
+/**
+ * Parse the optional from/to height range query parameters
+ * @param {Object} query - Express query object
+ * @returns {{from: number|undefined, to: number|undefined}} Height range
+ */
+function parseHeightRange(query) {
+  return {
+    from: parseIntParam(query, "from", undefined, 0, Number.MAX_SAFE_INTEGER),
+    to: parseIntParam(query, "to", undefined, 0, Number.MAX_SAFE_INTEGER)
+  };
 }
 
 // ==================== ENDPOINTS ====================
 
+/**
+ * Fetch total supply from the UTXO set
+ * @returns {Promise<Object>} Total supply in satoshis, with the quorum report in quorum mode
+ */
+async function fetchTotalSupply() {
+  const info = await getUtxoSetInfo();
+  const data = { total_supply: parseSats(info.total_amount) };
+  if (info.quorum) data.quorum = info.quorum;
+  return data;
+}
+
 /**
  * @swagger
  * /total-supply:
@@ -164,6 +321,10 @@ async function cachedFetch(key, fn) {
  *     summary: Get total supply
  *     description: Returns the current total supply of Meowcoin based on the UTXO set
  *     tags: [Supply]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
+ *       - $ref: '#/components/parameters/Format'
  *     responses:
  *       200:
  *         description: Successful response
@@ -175,7 +336,25 @@ async function cachedFetch(key, fn) {
  *                 total_supply:
  *                   type: number
  *                   example: 8361822924.945867
- *                   description: Total supply in MEWC
+ *                   description: Total supply in MEWC, or satoshis with unit=sat
+ *                 quorum:
+ *                   $ref: '#/components/schemas/Quorum'
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               description: Total supply on its own
+ *               example: "8361822924.945867\n"
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: Header row and one data row; quorum fields become quorum.* columns
+ *               example: "total_supply\n8361822924.945867\n"
+ *       400:
+ *         description: Invalid format or amount options
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       503:
  *         description: Service temporarily unavailable
  *         content:
@@ -190,21 +369,13 @@ async function cachedFetch(key, fn) {
  */
 app.get("/total-supply", async (req, res) => {
   try {
-    const supply = await cachedFetch("total_supply", async () => {
-      const info = await rpc("gettxoutsetinfo");
-      if (!info || typeof info.total_amount === "undefined") {
-        throw new Error("Invalid response from gettxoutsetinfo");
-      }
-      return info.total_amount;
-    });
+    const format = negotiateFormat(req);
+    const data = await cachedFetch("total_supply", fetchTotalSupply);
 
-    res.json({ total_supply: supply });
+    setCacheAge(res, "total_supply");
+    sendFormatted(res, format, data, "total_supply");
   } catch (err) {
-    log(`Error in /total-supply: ${err.message}`, "error");
-    res.status(503).json({ 
-      error: "Service temporarily unavailable",
-      message: "Unable to fetch total supply"
-    });
+    sendError(res, err, "/total-supply", "Unable to fetch total supply");
   }
 });
 
@@ -213,8 +384,12 @@ app.get("/total-supply", async (req, res) => {
  * /circulating-supply:
  *   get:
  *     summary: Get circulating supply
- *     description: Returns the current circulating supply of Meowcoin. Meowcoin has no premine or locked team allocation, so circulating supply equals mined supply minus burns.
+ *     description: Returns the current circulating supply of Meowcoin. Meowcoin has no premine or locked team allocation, so circulating supply equals the UTXO-set supply minus balances at burn addresses and any configured treasury wallets. Each excluded bucket is listed for auditing.
  *     tags: [Supply]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
+ *       - $ref: '#/components/parameters/Format'
  *     responses:
  *       200:
  *         description: Successful response
@@ -223,30 +398,70 @@ app.get("/total-supply", async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
- *                 circulating_supply:
+ *                 height:
+ *                   type: integer
+ *                   example: 1672942
+ *                 total_supply:
  *                   type: number
  *                   example: 8361822924.945867
- *                   description: Circulating supply in MEWC
+ *                   description: UTXO-set supply in MEWC, or satoshis with unit=sat
+ *                 circulating_supply:
+ *                   type: number
+ *                   example: 8361802924.945867
+ *                   description: Circulating supply in MEWC, or satoshis with unit=sat
+ *                 excluded:
+ *                   type: array
+ *                   description: Excluded buckets and their amounts
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       bucket:
+ *                         type: string
+ *                         enum: [burn, treasury, unspendable]
+ *                       label:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "foundation"
+ *                       address:
+ *                         type: string
+ *                         example: "MPyNGZSSZ4rbjkVJRLn3v64pMcktpEYJnU"
+ *                       amount:
+ *                         type: number
+ *                         example: 20000
+ *                         description: Amount in MEWC, or satoshis with unit=sat
+ *                       subtracted:
+ *                         type: boolean
+ *                         description: False for unspendable outputs, which gettxoutsetinfo already leaves out of the UTXO set
+ *                 quorum:
+ *                   $ref: '#/components/schemas/Quorum'
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               description: Circulating supply on its own
+ *               example: "8361802924.945867\n"
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: Header row and one data row; each excluded bucket becomes excluded.N.* columns
+ *               example: "height,total_supply,circulating_supply,excluded.0.bucket,excluded.0.label,excluded.0.address,excluded.0.amount,excluded.0.subtracted\n1672942,8361822924.945867,8361802924.945867,treasury,foundation,MPyNGZSSZ4rbjkVJRLn3v64pMcktpEYJnU,20000,true\n"
+ *       400:
+ *         description: Invalid format or amount options
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       503:
  *         description: Service temporarily unavailable
  */
 app.get("/circulating-supply", async (req, res) => {
   try {
-    const circ = await cachedFetch("circulating_supply", async () => {
-      const info = await rpc("gettxoutsetinfo");
-      if (!info || typeof info.total_amount === "undefined") {
-        throw new Error("Invalid response from gettxoutsetinfo");
-      }
-      return info.total_amount;
-    });
+    const format = negotiateFormat(req);
+    const data = await cachedFetch("circulating_supply", calculateCirculatingSupply);
 
-    res.json({ circulating_supply: circ });
+    setCacheAge(res, "circulating_supply");
+    sendFormatted(res, format, data, "circulating_supply");
   } catch (err) {
-    log(`Error in /circulating-supply: ${err.message}`, "error");
-    res.status(503).json({ 
-      error: "Service temporarily unavailable",
-      message: "Unable to fetch circulating supply"
-    });
+    sendError(res, err, "/circulating-supply", "Unable to fetch circulating supply");
   }
 });
 
@@ -257,6 +472,10 @@ app.get("/circulating-supply", async (req, res) => {
  *     summary: Get current block reward
  *     description: Returns the current block subsidy and reward split (60% miner, 40% foundation). Uses consensus-derived subsidy calculation.
  *     tags: [Rewards]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
+ *       - $ref: '#/components/parameters/Format'
  *     responses:
  *       200:
  *         description: Successful response
@@ -271,20 +490,37 @@ app.get("/circulating-supply", async (req, res) => {
  *                 block_reward:
  *                   type: number
  *                   example: 5000
- *                   description: Total block subsidy in MEWC
+ *                   description: Total block subsidy in MEWC, or satoshis with unit=sat
  *                 miner_reward:
  *                   type: number
  *                   example: 3000
- *                   description: Miner reward (60%) in MEWC
+ *                   description: Miner reward (60%) in MEWC, or satoshis with unit=sat
  *                 foundation_reward:
  *                   type: number
  *                   example: 2000
- *                   description: Foundation reward (40%) in MEWC
+ *                   description: Foundation reward (40%) in MEWC, or satoshis with unit=sat
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               description: Total block subsidy on its own
+ *               example: "5000\n"
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: Header row and one data row
+ *               example: "height,block_reward,miner_reward,foundation_reward\n1672942,5000,3000,2000\n"
+ *       400:
+ *         description: Invalid format or amount options
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       503:
  *         description: Service temporarily unavailable
  */
 app.get("/block-reward", async (req, res) => {
   try {
+    const format = negotiateFormat(req);
     const data = await cachedFetch("block_reward", async () => {
       const chain = await rpc("getblockchaininfo");
       if (!chain || typeof chain.blocks === "undefined") {
@@ -292,30 +528,26 @@ app.get("/block-reward", async (req, res) => {
       }
       
       const height = chain.blocks;
-      const subsidy = getBlockSubsidy(height);
-      const miner = subsidy * 0.60;
-      const foundation = subsidy * 0.40;
+      const subsidy = getBlockSubsidySats(height);
+      const split = splitRewardSats(subsidy);
 
       return { 
         height, 
         subsidy_total: subsidy,
-        miner, 
-        foundation 
+        miner: split.miner, 
+        foundation: split.foundation 
       };
-    });
+    }, { tipBound: true });
 
-    res.json({
+    setCacheAge(res, "block_reward");
+    sendFormatted(res, format, {
       height: data.height,
       block_reward: data.subsidy_total,
       miner_reward: data.miner,
       foundation_reward: data.foundation
-    });
+    }, "block_reward");
   } catch (err) {
-    log(`Error in /block-reward: ${err.message}`, "error");
-    res.status(503).json({ 
-      error: "Service temporarily unavailable",
-      message: "Unable to fetch block reward"
-    });
+    sendError(res, err, "/block-reward", "Unable to fetch block reward");
   }
 });
 
@@ -326,6 +558,10 @@ app.get("/block-reward", async (req, res) => {
  *     summary: Get detailed reward breakdown
  *     description: Returns detailed reward breakdown with percentages for the current block
  *     tags: [Rewards]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
+ *       - $ref: '#/components/parameters/Format'
  *     responses:
  *       200:
  *         description: Successful response
@@ -352,11 +588,28 @@ app.get("/block-reward", async (req, res) => {
  *                 foundation_reward:
  *                   type: number
  *                   example: 2000
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               description: One name=value line per field
+ *               example: "height=1672942\nsubsidy_total=5000\nminer_percentage=60\nfoundation_percentage=40\nminer_reward=3000\nfoundation_reward=2000\n"
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: Header row and one data row
+ *               example: "height,subsidy_total,miner_percentage,foundation_percentage,miner_reward,foundation_reward\n1672942,5000,60,40,3000,2000\n"
+ *       400:
+ *         description: Invalid format or amount options
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       503:
  *         description: Service temporarily unavailable
  */
 app.get("/reward-breakdown", async (req, res) => {
   try {
+    const format = negotiateFormat(req);
     const data = await cachedFetch("reward_breakdown", async () => {
       const chain = await rpc("getblockchaininfo");
       if (!chain || typeof chain.blocks === "undefined") {
@@ -364,116 +617,248 @@ app.get("/reward-breakdown", async (req, res) => {
       }
       
       const height = chain.blocks;
-      const subsidy = getBlockSubsidy(height);
-      const miner = subsidy * 0.60;
-      const foundation = subsidy * 0.40;
+      const subsidy = getBlockSubsidySats(height);
+      const split = splitRewardSats(subsidy);
 
       return {
         height,
         subsidy_total: subsidy,
-        miner_percentage: 60,
-        foundation_percentage: 40,
-        miner_reward: miner,
-        foundation_reward: foundation
+        miner_percentage: MINER_PERCENTAGE,
+        foundation_percentage: FOUNDATION_PERCENTAGE,
+        miner_reward: split.miner,
+        foundation_reward: split.foundation
       };
-    });
+    }, { tipBound: true });
 
-    res.json(data);
+    setCacheAge(res, "reward_breakdown");
+    sendFormatted(res, format, data);
   } catch (err) {
-    log(`Error in /reward-breakdown: ${err.message}`, "error");
-    res.status(503).json({ 
-      error: "Service temporarily unavailable",
-      message: "Unable to fetch reward breakdown"
-    });
+    sendError(res, err, "/reward-breakdown", "Unable to fetch reward breakdown");
   }
 });
 
 /**
- * Detect algorithm from block version using bitmasking
- * @param {number} version - Block version number
- * @returns {string} "meowpow", "scrypt", or "unknown"
+ * @swagger
+ * /foundation:
+ *   get:
+ *     summary: Get foundation treasury activity
+ *     description: Reports what the foundation treasury addresses received and spent. Lifetime income is split between coinbase rewards and other sources, and daily and monthly aggregates are included. Balances are read live; the other figures come from a background scan of the address index that trails the tip by 10 blocks. Treasury addresses are configured with FOUNDATION_ADDRESSES (label:address pairs) and default to the foundation reward address. Transfers between treasury addresses are left out of the totals, flows and outgoing list. Requires the node to run with -addressindex.
+ *     tags: [Foundation]
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 3660
+ *         description: Number of most recent days to list in daily
+ *       - in: query
+ *         name: outgoing
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 1000
+ *         description: Number of most recent outgoing transactions to list
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 height:
+ *                   type: integer
+ *                 scanned_height:
+ *                   type: integer
+ *                   description: Last block included in received, sent and the aggregates
+ *                 synced:
+ *                   type: boolean
+ *                   description: False while the initial scan is still catching up
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     balance:
+ *                       $ref: '#/components/schemas/ExactAmount'
+ *                     received:
+ *                       $ref: '#/components/schemas/ExactAmount'
+ *                     received_coinbase:
+ *                       $ref: '#/components/schemas/ExactAmount'
+ *                     received_other:
+ *                       $ref: '#/components/schemas/ExactAmount'
+ *                     sent:
+ *                       $ref: '#/components/schemas/ExactAmount'
+ *                 addresses:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       label:
+ *                         type: string
+ *                         nullable: true
+ *                       address:
+ *                         type: string
+ *                       scanned_height:
+ *                         type: integer
+ *                       balance:
+ *                         $ref: '#/components/schemas/ExactAmount'
+ *                       received:
+ *                         $ref: '#/components/schemas/ExactAmount'
+ *                       received_coinbase:
+ *                         $ref: '#/components/schemas/ExactAmount'
+ *                       received_other:
+ *                         $ref: '#/components/schemas/ExactAmount'
+ *                       sent:
+ *                         $ref: '#/components/schemas/ExactAmount'
+ *                       outgoing_count:
+ *                         type: integer
+ *                       first_coinbase_height:
+ *                         type: integer
+ *                         nullable: true
+ *                       expected_coinbase:
+ *                         nullable: true
+ *                         description: Foundation share owed by consensus since the first coinbase payout; only for the foundation reward address
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/ExactAmount'
+ *                 outgoing:
+ *                   type: array
+ *                   description: Outgoing transactions, newest first
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       txid:
+ *                         type: string
+ *                       height:
+ *                         type: integer
+ *                       date:
+ *                         type: string
+ *                         example: "2025-06-01"
+ *                       label:
+ *                         type: string
+ *                         nullable: true
+ *                       address:
+ *                         type: string
+ *                       amount:
+ *                         $ref: '#/components/schemas/ExactAmount'
+ *                 daily:
+ *                   type: array
+ *                   description: Per-day flows (UTC), oldest first
+ *                   items:
+ *                     $ref: '#/components/schemas/TreasuryFlow'
+ *                 monthly:
+ *                   type: array
+ *                   description: Per-month flows (UTC), oldest first
+ *                   items:
+ *                     $ref: '#/components/schemas/TreasuryFlow'
+ *       501:
+ *         description: The node is not running with -addressindex
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: Service temporarily unavailable
  */
-function detectAlgo(version) {
-  const MASK = 0xFFFFFF00;
-  const MPW = 0x30090000; // MeowPow
-  const SCR = 0x30090100; // Scrypt
-  
-  if ((version & MASK) === MPW) return "meowpow";
-  if ((version & MASK) === SCR) return "scrypt";
-  return "unknown";
-}
+app.get("/foundation", async (req, res) => {
+  try {
+    const days = parseIntParam(req.query, "days", 30, 1, 3660);
+    const outgoingLimit = parseIntParam(req.query, "outgoing", 50, 0, 1000);
+
+    res.json(await getTreasuryReport({ days, outgoingLimit }));
+  } catch (err) {
+    sendError(res, err, "/foundation", "Unable to fetch foundation treasury");
+  }
+});
 
 /**
- * Calculate average block time and block counts per algorithm
- * @param {Array} blocks - Array of block objects with time and version
- * @param {number} windowMinutes - Time window in minutes
- * @returns {Object} Statistics per algorithm
+ * @swagger
+ * /foundation/export:
+ *   get:
+ *     summary: Export foundation treasury activity as CSV
+ *     description: Downloads the treasury's daily or monthly flows, or its outgoing transactions, as CSV for accounting. Amounts are exact MEWC values with 8 decimal places.
+ *     tags: [Foundation]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [daily, monthly, outgoing]
+ *           default: daily
+ *     responses:
+ *       200:
+ *         description: CSV document
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               example: "date,coinbase_mewc,other_mewc,received_mewc,sent_mewc\n2025-06-01,2880000.00000000,0.00000000,2880000.00000000,0.00000000\n"
+ *       400:
+ *         description: Unknown export type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       501:
+ *         description: The node is not running with -addressindex
+ *       503:
+ *         description: Service temporarily unavailable
  */
-function calculateBlockStats(blocks, windowMinutes) {
-  const now = Math.floor(Date.now() / 1000);
-  const windowSeconds = windowMinutes * 60;
-  
-  // Filter blocks within time window
-  const windowBlocks = blocks.filter(b => 
-    b.time && (now - b.time) <= windowSeconds
-  );
-  
-  // Separate blocks by algorithm
-  const meowpowBlocks = [];
-  const scryptBlocks = [];
-  
-  windowBlocks.forEach(block => {
-    const algo = detectAlgo(block.version);
-    if (algo === "meowpow") {
-      meowpowBlocks.push(block);
-    } else if (algo === "scrypt") {
-      scryptBlocks.push(block);
-    }
-  });
-  
-  // Sort by time (oldest first)
-  meowpowBlocks.sort((a, b) => a.time - b.time);
-  scryptBlocks.sort((a, b) => a.time - b.time);
-  
-  // Calculate average block time per algorithm
-  function calculateAvgBlockTime(algoBlocks) {
-    if (algoBlocks.length < 2) return null;
-    
-    const spacings = [];
-    for (let i = 1; i < algoBlocks.length; i++) {
-      const spacing = algoBlocks[i].time - algoBlocks[i - 1].time;
-      // Filter out unreasonable values (0 to 1 hour)
-      if (spacing > 0 && spacing <= 3600) {
-        spacings.push(spacing);
-      }
-    }
-    
-    if (spacings.length === 0) return null;
-    return spacings.reduce((a, b) => a + b, 0) / spacings.length;
-  }
-  
-  const meowpowAvgTime = calculateAvgBlockTime(meowpowBlocks);
-  const scryptAvgTime = calculateAvgBlockTime(scryptBlocks);
-  
-  return {
-    meowpow: {
-      blocks_found: meowpowBlocks.length,
-      avg_block_time: meowpowAvgTime ? Math.round(meowpowAvgTime) : null
-    },
-    scrypt: {
-      blocks_found: scryptBlocks.length,
-      avg_block_time: scryptAvgTime ? Math.round(scryptAvgTime) : null
+app.get("/foundation/export", async (req, res) => {
+  try {
+    const type = req.query.type || "daily";
+    if (!["daily", "monthly", "outgoing"].includes(type)) {
+      throw badRequest("type must be one of daily, monthly or outgoing");
     }
-  };
-}
+
+    const csv = await getTreasuryCsv(type);
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="foundation-${type}.csv"`);
+    res.send(csv);
+  } catch (err) {
+    sendError(res, err, "/foundation/export", "Unable to export foundation treasury");
+  }
+});
 
 /**
  * @swagger
- * /mining-info:
+ * /foundation/audit:
  *   get:
- *     summary: Get mining information
- *     description: Returns mining information including block height, difficulty, network hash rate, average block time, and block counts for both MeowPow and Scrypt algorithms. Analyzes blocks from the last 60 minutes.
- *     tags: [Mining]
+ *     summary: Audit the foundation reward split
+ *     description: Decodes the coinbase of every block in a height range and checks that the foundation address received at least 40% of the subsidy. Each block records whether the split was honored and whether fees went to the miner ("miner"), were split 60/40 ("split"), or neither ("other"). Totals are broken down by mining algorithm. Indexed blocks are read locally; older blocks are fetched from the node.
+ *     tags: [Foundation]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: First height; defaults to 1000 blocks below the tip
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Last height; defaults to the tip. At most 10000 blocks per request, of which at most 1000 may be older than the block index.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [all, compliant, non_compliant]
+ *           default: all
+ *         description: Which audited blocks to list
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 1000
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
  *     responses:
  *       200:
  *         description: Successful response
@@ -482,188 +867,2389 @@ function calculateBlockStats(blocks, windowMinutes) {
  *             schema:
  *               type: object
  *               properties:
- *                 block_height:
+ *                 from:
  *                   type: integer
- *                   example: 1672942
- *                 window_minutes:
+ *                 to:
  *                   type: integer
- *                   example: 60
- *                   description: Time window analyzed in minutes
- *                 meowpow:
+ *                 expected:
  *                   type: object
  *                   properties:
- *                     difficulty:
- *                       type: number
- *                       example: 695.79
- *                     hashrate:
- *                       type: number
- *                       example: 16520849211.44
- *                     blocks_found:
+ *                     miner_percentage:
  *                       type: integer
- *                       example: 22
- *                       description: Number of MeowPow blocks found in the window
- *                     avg_block_time:
+ *                       example: 60
+ *                     foundation_percentage:
  *                       type: integer
- *                       nullable: true
- *                       example: 125
- *                       description: Average time between MeowPow blocks in seconds
- *                 scrypt:
+ *                       example: 40
+ *                     foundation_address:
+ *                       type: string
+ *                       example: "MPyNGZSSZ4rbjkVJRLn3v64pMcktpEYJnU"
+ *                 summary:
  *                   type: object
  *                   properties:
- *                     difficulty:
- *                       type: number
- *                       example: 5917.16
- *                     hashrate:
- *                       type: number
- *                       example: 338176091462.52
- *                     blocks_found:
+ *                     blocks:
  *                       type: integer
- *                       example: 19
- *                       description: Number of Scrypt blocks found in the window
- *                     avg_block_time:
+ *                     compliant:
  *                       type: integer
- *                       nullable: true
- *                       example: 181
- *                       description: Average time between Scrypt blocks in seconds
+ *                     non_compliant:
+ *                       type: integer
+ *                     by_algo:
+ *                       type: object
+ *                       description: Counts and MEWC totals keyed by algorithm (meowpow, scrypt)
+ *                 status:
+ *                   type: string
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 blocks:
+ *                   type: array
+ *                   description: Audited blocks, newest first
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       height:
+ *                         type: integer
+ *                       hash:
+ *                         type: string
+ *                       algo:
+ *                         type: string
+ *                       compliant:
+ *                         type: boolean
+ *                       subsidy:
+ *                         type: number
+ *                       fees:
+ *                         type: number
+ *                       coinbase_total:
+ *                         type: number
+ *                       miner_reward:
+ *                         type: number
+ *                       foundation_reward:
+ *                         type: number
+ *                       expected_foundation_reward:
+ *                         type: number
+ *                       foundation_percentage:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Foundation payout as a percentage of the subsidy
+ *                       fee_treatment:
+ *                         type: string
+ *                         enum: [no_fees, miner, split, other]
+ *       400:
+ *         description: Invalid range or parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       503:
  *         description: Service temporarily unavailable
  */
-app.get("/mining-info", async (req, res) => {
+app.get("/foundation/audit", async (req, res) => {
   try {
-    const windowMinutes = 60;
-    const blocksToFetch = 576; // ~1 min blocks, covers 60 min window
-    
-    const data = await cachedFetch("mining_info", async () => {
-      // Get block height
-      const blockHeight = await rpc("getblockcount");
-      
-      // Get difficulty for both algorithms
-      const meowpowDifficulty = await rpc("getdifficulty 0");
-      const scryptDifficulty = await rpc("getdifficulty 1");
-      
-      // Get network hash rate for both algorithms
-      const meowpowHashrate = await rpc("getnetworkhashps 0 -1 0");
-      const scryptHashrate = await rpc("getnetworkhashps 0 -1 1");
-
-      // Fetch recent blocks for block time analysis
-      const blocks = [];
-      const startHeight = Math.max(0, blockHeight - blocksToFetch + 1);
-      
-      for (let height = startHeight; height <= blockHeight; height++) {
-        try {
-          const hash = await rpc(`getblockhash ${height}`);
-          const block = await rpc(`getblock ${hash} 1`);
-          
-          if (block && block.time && block.version !== undefined) {
-            blocks.push({
-              height: height,
-              time: block.time,
-              version: block.version
-            });
-          }
-        } catch (err) {
-          // Skip blocks that fail to fetch
-          log(`Failed to fetch block ${height}: ${err.message}`, "warn");
-        }
-      }
-      
-      // Calculate block statistics
-      const blockStats = calculateBlockStats(blocks, windowMinutes);
-
-      return {
-        block_height: blockHeight,
-        window_minutes: windowMinutes,
-        meowpow: {
-          difficulty: meowpowDifficulty,
-          hashrate: meowpowHashrate,
-          blocks_found: blockStats.meowpow.blocks_found,
-          avg_block_time: blockStats.meowpow.avg_block_time
-        },
-        scrypt: {
-          difficulty: scryptDifficulty,
-          hashrate: scryptHashrate,
-          blocks_found: blockStats.scrypt.blocks_found,
-          avg_block_time: blockStats.scrypt.avg_block_time
-        }
-      };
-    });
+    const status = req.query.status || "all";
+    if (!["all", "compliant", "non_compliant"].includes(status)) {
+      throw badRequest("status must be one of all, compliant or non_compliant");
+    }
+    const page = parseIntParam(req.query, "page", 1, 1, 1000000);
+    const limit = parseIntParam(req.query, "limit", 100, 1, 1000);
 
-    res.json(data);
+    res.json(await getFoundationAudit({
+      ...parseHeightRange(req.query),
+      status,
+      page,
+      limit
+    }));
   } catch (err) {
-    log(`Error in /mining-info: ${err.message}`, "error");
-    res.status(503).json({ 
-      error: "Service temporarily unavailable",
-      message: "Unable to fetch mining information"
-    });
+    sendError(res, err, "/foundation/audit", "Unable to audit foundation rewards");
   }
 });
 
 /**
  * @swagger
- * /health:
+ * /emission/schedule:
  *   get:
- *     summary: Health check
- *     description: Returns API health status and RPC connectivity information
- *     tags: [Health]
+ *     summary: Get the emission schedule
+ *     description: Returns every halving era with its height range, per-block subsidy, miner/foundation split and cumulative issuance. All values are computed with integer satoshi arithmetic.
+ *     tags: [Emission]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
  *     responses:
  *       200:
- *         description: Service is healthy
+ *         description: Successful response
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 status:
- *                   type: string
- *                   example: "ok"
- *                 timestamp:
- *                   type: string
- *                   format: date-time
- *                   example: "2024-01-01T00:00:00.000Z"
- *                 cache_age_ms:
+ *                 initial_subsidy:
+ *                   type: number
+ *                   example: 5000
+ *                 halving_interval:
+ *                   type: integer
+ *                   example: 2100000
+ *                 miner_percentage:
+ *                   type: integer
+ *                   example: 60
+ *                 foundation_percentage:
+ *                   type: integer
+ *                   example: 40
+ *                 current_height:
+ *                   type: integer
+ *                   example: 1672942
+ *                 current_era:
  *                   type: integer
- *                   example: 12345
- *                   description: Age of cache in milliseconds
+ *                   example: 0
+ *                 max_supply:
+ *                   $ref: '#/components/schemas/ExactAmount'
+ *                 eras:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       era:
+ *                         type: integer
+ *                       start_height:
+ *                         type: integer
+ *                       end_height:
+ *                         type: integer
+ *                       block_subsidy:
+ *                         $ref: '#/components/schemas/ExactAmount'
+ *                       miner_reward:
+ *                         $ref: '#/components/schemas/ExactAmount'
+ *                       foundation_reward:
+ *                         $ref: '#/components/schemas/ExactAmount'
+ *                       era_issuance:
+ *                         $ref: '#/components/schemas/ExactAmount'
+ *                       cumulative_issuance:
+ *                         $ref: '#/components/schemas/ExactAmount'
  *       503:
- *         description: Service is degraded
+ *         description: Service temporarily unavailable
+ */
+app.get("/emission/schedule", async (req, res) => {
+  try {
+    const data = await cachedFetch("emission_schedule", getEmissionSchedule, { tipBound: true });
+
+    setCacheAge(res, "emission_schedule");
+    res.json(data);
+  } catch (err) {
+    sendError(res, err, "/emission/schedule", "Unable to fetch emission schedule");
+  }
+});
+
+/**
+ * @swagger
+ * /halving:
+ *   get:
+ *     summary: Get the next halving countdown
+ *     description: Returns blocks remaining until the next halving, the current and next subsidy, and an estimated date. The estimate uses the combined MeowPow and Scrypt block rate observed over several windows (HALVING_WINDOWS, default 1h, 24h and 7d); the earliest/latest range spans two standard deviations of those windows' average block times.
+ *     tags: [Emission]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
+ *     responses:
+ *       200:
+ *         description: Successful response
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 status:
- *                   type: string
- *                   example: "degraded"
- *                 error:
- *                   type: string
- *                   example: "RPC connection failed"
- *                 timestamp:
- *                   type: string
- *                   format: date-time
+ *                 height:
+ *                   type: integer
+ *                   example: 1672942
+ *                 halving_height:
+ *                   type: integer
+ *                   example: 2100000
+ *                 blocks_remaining:
+ *                   type: integer
+ *                   example: 427058
+ *                 current_subsidy:
+ *                   type: number
+ *                   example: 5000
+ *                 next_subsidy:
+ *                   type: number
+ *                   example: 2500
+ *                 block_rate:
+ *                   type: object
+ *                   properties:
+ *                     windows:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           window:
+ *                             type: string
+ *                             example: "24h"
+ *                           blocks:
+ *                             type: integer
+ *                           seconds:
+ *                             type: integer
+ *                           avg_block_time:
+ *                             type: number
+ *                             example: 59.8
+ *                     mean_block_time:
+ *                       type: number
+ *                     stddev_block_time:
+ *                       type: number
+ *                     target_block_time:
+ *                       type: integer
+ *                       example: 60
+ *                 estimate:
+ *                   type: object
+ *                   properties:
+ *                     date:
+ *                       type: string
+ *                       format: date-time
+ *                     seconds_remaining:
+ *                       type: integer
+ *                     earliest:
+ *                       type: string
+ *                       format: date-time
+ *                     latest:
+ *                       type: string
+ *                       format: date-time
+ *                     confidence_sigmas:
+ *                       type: integer
+ *                       example: 2
+ *                     note:
+ *                       type: string
+ *                       description: Present when the estimate falls back to the target block time
+ *       503:
+ *         description: Service temporarily unavailable
  */
-app.get("/health", async (req, res) => {
+app.get("/halving", async (req, res) => {
   try {
-    // Quick RPC check to verify connectivity
-    await rpc("getblockcount");
-    res.json({ 
-      status: "ok",
-      timestamp: new Date().toISOString(),
-      cache_age_ms: Date.now() - Cache.updated
-    });
+    const data = await cachedFetch("halving", getHalvingInfo, { tipBound: true });
+
+    setCacheAge(res, "halving");
+    res.json(data);
   } catch (err) {
-    log(`Health check failed: ${err.message}`, "error");
-    res.status(503).json({ 
-      status: "degraded",
-      error: "RPC connection failed",
-      timestamp: new Date().toISOString()
-    });
+    sendError(res, err, "/halving", "Unable to fetch halving information");
   }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  log(`Unhandled error: ${err.message}`, "error");
-  res.status(500).json({ 
+/**
+ * @swagger
+ * /emission/supply-at/{height}:
+ *   get:
+ *     summary: Get theoretical supply at a height
+ *     description: Returns the total subsidy issued by blocks 0 through the given height, split between miners and the foundation. Heights above the current tip are projections.
+ *     tags: [Emission]
+ *     parameters:
+ *       - in: path
+ *         name: height
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 height:
+ *                   type: integer
+ *                 projected:
+ *                   type: boolean
+ *                   description: True if the height is above the current tip
+ *                 era:
+ *                   type: integer
+ *                 block_subsidy:
+ *                   $ref: '#/components/schemas/ExactAmount'
+ *                 issued_supply:
+ *                   $ref: '#/components/schemas/ExactAmount'
+ *                 miner_issued:
+ *                   $ref: '#/components/schemas/ExactAmount'
+ *                 foundation_issued:
+ *                   $ref: '#/components/schemas/ExactAmount'
+ *       400:
+ *         description: Invalid height
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/emission/supply-at/:height", async (req, res) => {
+  try {
+    const height = parseIntParam(req.params, "height", undefined, 0, LAST_SUBSIDY_HEIGHT);
+
+    res.json(await getSupplyAtHeight(height));
+  } catch (err) {
+    sendError(res, err, "/emission/supply-at", "Unable to calculate supply");
+  }
+});
+
+/**
+ * @swagger
+ * /emission/comparison:
+ *   get:
+ *     summary: Compare theoretical and UTXO-set supply
+ *     description: Compares the subsidy issued up to the UTXO set's height with the UTXO-set total. The gap is coins that can no longer be spent, such as burns, OP_RETURN outputs and unclaimed or lost coinbase rewards.
+ *     tags: [Emission]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 height:
+ *                   type: integer
+ *                 theoretical_supply:
+ *                   $ref: '#/components/schemas/ExactAmount'
+ *                 utxo_supply:
+ *                   $ref: '#/components/schemas/ExactAmount'
+ *                 gap:
+ *                   $ref: '#/components/schemas/ExactAmount'
+ *                 gap_percentage:
+ *                   type: number
+ *                   example: 0.000207
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/emission/comparison", async (req, res) => {
+  try {
+    const data = await getSupplyComparison();
+
+    setCacheAge(res, "utxo_set");
+    res.json(data);
+  } catch (err) {
+    sendError(res, err, "/emission/comparison", "Unable to compare supply");
+  }
+});
+
+/**
+ * @swagger
+ * /mining-info:
+ *   get:
+ *     summary: Get mining information
+ *     description: Returns mining information including block height, difficulty, network hash rate and block spacing statistics for both MeowPow and Scrypt algorithms, computed over a configurable window (default 1h). Each algorithm targets twice the 60-second combined block time. Averages, median, p90 and standard deviation ignore spacings outside (0, 1h] caused by timestamp noise; the longest gap does not.
+ *     tags: [Mining]
+ *     parameters:
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           default: 1h
+ *           example: 24h
+ *         description: Window to analyze, from 15m to 7d (units m, h or d)
+ *       - $ref: '#/components/parameters/Format'
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 block_height:
+ *                   type: integer
+ *                   example: 1672942
+ *                 window:
+ *                   type: string
+ *                   example: "1h"
+ *                 window_minutes:
+ *                   type: integer
+ *                   example: 60
+ *                   description: Time window analyzed in minutes
+ *                 window_complete:
+ *                   type: boolean
+ *                   description: False while the block index does not yet reach back to the start of the window
+ *                 meowpow:
+ *                   $ref: '#/components/schemas/AlgoMiningStats'
+ *                 scrypt:
+ *                   $ref: '#/components/schemas/AlgoMiningStats'
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               description: One name=value line per field, with nested fields such as meowpow.difficulty
+ *               example: "block_height=1672942\nwindow=1h\nwindow_minutes=60\nwindow_complete=true\nmeowpow.difficulty=695.79\n...\n"
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               description: Header row and one data row, with nested fields flattened into columns such as meowpow.difficulty and scrypt.longest_gap.seconds
+ *               example: "block_height,window,window_minutes,window_complete,meowpow.difficulty,...\n1672942,1h,60,true,695.79,...\n"
+ *       400:
+ *         description: Invalid window or format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/mining-info", async (req, res) => {
+  try {
+    const format = negotiateFormat(req);
+    const window = parseMiningWindow(req.query.window);
+    const key = `mining_info:${window.seconds}`;
+
+    const data = await cachedFetch(key, () => fetchMiningInfo(window), { tipBound: true });
+
+    setCacheAge(res, key);
+    sendFormatted(res, format, data);
+  } catch (err) {
+    sendError(res, err, "/mining-info", "Unable to fetch mining information");
+  }
+});
+
+/**
+ * @swagger
+ * /mining/pools:
+ *   get:
+ *     summary: Get mining pool distribution
+ *     description: Attributes recent blocks to mining pools using coinbase scriptSig tags and miner payout addresses, matched against the pool definitions in pools.json (POOLS_FILE). Reports per-pool block counts and shares for each algorithm and overall; unattributed blocks are grouped by payout address. Pools or addresses whose share of an algorithm's blocks exceeds POOL_SHARE_THRESHOLD (default 40%) are flagged.
+ *     tags: [Mining]
+ *     parameters:
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           default: 24h
+ *         description: Window to analyze, from 15m to 7d (units m, h or d)
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 window:
+ *                   type: string
+ *                   example: "24h"
+ *                 window_minutes:
+ *                   type: integer
+ *                 window_complete:
+ *                   type: boolean
+ *                 share_threshold:
+ *                   type: number
+ *                   example: 40
+ *                 flagged:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       algo:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                         nullable: true
+ *                       address:
+ *                         type: string
+ *                         nullable: true
+ *                       share:
+ *                         type: number
+ *                 meowpow:
+ *                   $ref: '#/components/schemas/PoolDistribution'
+ *                 scrypt:
+ *                   $ref: '#/components/schemas/PoolDistribution'
+ *                 all:
+ *                   $ref: '#/components/schemas/PoolDistribution'
+ *       400:
+ *         description: Invalid window
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/mining/pools", async (req, res) => {
+  try {
+    const window = parseMiningWindow(req.query.window || "24h");
+    const key = `mining_pools:${window.seconds}`;
+
+    const data = await cachedFetch(key, () => getPoolDistribution(window), { tipBound: true });
+
+    setCacheAge(res, key);
+    res.json(data);
+  } catch (err) {
+    sendError(res, err, "/mining/pools", "Unable to fetch pool distribution");
+  }
+});
+
+/**
+ * @swagger
+ * /mining/history:
+ *   get:
+ *     summary: Get difficulty and hash rate history
+ *     description: Returns difficulty, network hash rate and blocks found per algorithm over time, downsampled into buckets with the average, minimum and maximum of each bucket. Samples are recorded every HISTORY_SAMPLE_MS (default 10 minutes) into a local store; slots missed while the API was down are backfilled from historical blocks, using the last block of each algorithm for difficulty and getnetworkhashps at that height for the hash rate.
+ *     tags: [Mining]
+ *     parameters:
+ *       - in: query
+ *         name: algo
+ *         schema:
+ *           type: string
+ *           enum: [meowpow, scrypt]
+ *         description: Limit the series to one algorithm; both when omitted
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Start as a unix timestamp or ISO 8601 date; defaults to 7 days before to
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: End as a unix timestamp or ISO 8601 date; defaults to now
+ *       - in: query
+ *         name: resolution
+ *         schema:
+ *           type: string
+ *           example: 1h
+ *         description: Bucket size such as 1h or 1d; defaults to the finest size that returns at most 2000 points
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 algo:
+ *                   type: string
+ *                   nullable: true
+ *                 from:
+ *                   type: integer
+ *                 to:
+ *                   type: integer
+ *                 resolution_seconds:
+ *                   type: integer
+ *                   example: 3600
+ *                 sample_interval_seconds:
+ *                   type: integer
+ *                   example: 600
+ *                 points:
+ *                   type: array
+ *                   description: Buckets that contain samples, oldest first
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       time:
+ *                         type: integer
+ *                         description: Bucket start (unix seconds)
+ *                       samples:
+ *                         type: integer
+ *                       height:
+ *                         type: integer
+ *                         description: Chain height at the last sample in the bucket
+ *                       backfilled:
+ *                         type: boolean
+ *                         description: True when every sample was reconstructed from historical blocks
+ *                       meowpow:
+ *                         $ref: '#/components/schemas/HistoryPoint'
+ *                       scrypt:
+ *                         $ref: '#/components/schemas/HistoryPoint'
+ *       400:
+ *         description: Invalid algorithm, range or resolution
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get("/mining/history", (req, res) => {
+  try {
+    res.json(getMiningHistory({
+      algo: req.query.algo,
+      from: parseTimeParam(req.query, "from"),
+      to: parseTimeParam(req.query, "to"),
+      resolution: req.query.resolution
+    }));
+  } catch (err) {
+    sendError(res, err, "/mining/history", "Unable to fetch mining history");
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Output:
+ *       type: object
+ *       properties:
+ *         n:
+ *           type: integer
+ *         value:
+ *           type: number
+ *           example: 3000
+ *           description: Amount in MEWC, or satoshis with unit=sat
+ *         value_sat:
+ *           type: integer
+ *           example: 300000000000
+ *         type:
+ *           type: string
+ *           example: "pubkeyhash"
+ *         address:
+ *           type: string
+ *           nullable: true
+ *         addresses:
+ *           type: array
+ *           items:
+ *             type: string
+ *         script_hex:
+ *           type: string
+ *         asset:
+ *           type: object
+ *           description: Asset transfer carried by this output, if any
+ *     Reward:
+ *       type: object
+ *       properties:
+ *         subsidy:
+ *           type: number
+ *           example: 5000
+ *         fees:
+ *           type: number
+ *           example: 0.0125
+ *         coinbase_total:
+ *           type: number
+ *           example: 5000.0125
+ *         miner_reward:
+ *           type: number
+ *           example: 3000.0125
+ *         foundation_reward:
+ *           type: number
+ *           example: 2000
+ *         foundation_address:
+ *           type: string
+ *           example: "MPyNGZSSZ4rbjkVJRLn3v64pMcktpEYJnU"
+ *     Transaction:
+ *       type: object
+ *       properties:
+ *         txid:
+ *           type: string
+ *         size:
+ *           type: integer
+ *         vsize:
+ *           type: integer
+ *         version:
+ *           type: integer
+ *         locktime:
+ *           type: integer
+ *         is_coinbase:
+ *           type: boolean
+ *         input_total:
+ *           type: number
+ *           nullable: true
+ *         output_total:
+ *           type: number
+ *         fee:
+ *           type: number
+ *           nullable: true
+ *           description: Fee in MEWC (or satoshis with unit=sat), null if inputs could not be resolved
+ *         fee_sat:
+ *           type: integer
+ *           nullable: true
+ *         fee_rate:
+ *           type: number
+ *           nullable: true
+ *           description: Fee rate in satoshis per byte
+ *         fee_note:
+ *           type: string
+ *           description: Present when the fee could not be calculated
+ *         inputs:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               txid:
+ *                 type: string
+ *               vout:
+ *                 type: integer
+ *               address:
+ *                 type: string
+ *                 nullable: true
+ *               value:
+ *                 type: number
+ *                 nullable: true
+ *               value_sat:
+ *                 type: integer
+ *                 nullable: true
+ *               coinbase:
+ *                 type: string
+ *                 description: Coinbase script, for coinbase inputs only
+ *         outputs:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Output'
+ *     Asset:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "CAT"
+ *         type:
+ *           type: string
+ *           enum: [root, sub, unique, owner, channel, vote, qualifier, sub_qualifier, restricted, unknown]
+ *         supply:
+ *           type: number
+ *           example: 1000
+ *           description: Total issued amount in asset units
+ *         units:
+ *           type: integer
+ *           example: 0
+ *           description: Decimal places (0-8)
+ *         reissuable:
+ *           type: boolean
+ *         has_ipfs:
+ *           type: boolean
+ *         ipfs_hash:
+ *           type: string
+ *           nullable: true
+ *         verifier_string:
+ *           type: string
+ *           description: Verifier for restricted assets
+ *     ExactAmount:
+ *       type: object
+ *       description: Amount in the requested unit, with the exact satoshis alongside (values can exceed the safe integer range)
+ *       properties:
+ *         value:
+ *           type: number
+ *           example: 5000
+ *           description: Amount in MEWC, or satoshis with unit=sat; a string with amounts=string
+ *         value_sat:
+ *           type: string
+ *           example: "500000000000"
+ *           description: Amount in satoshis
+ *     AlgoMiningStats:
+ *       type: object
+ *       properties:
+ *         difficulty:
+ *           type: number
+ *           example: 695.79
+ *         hashrate:
+ *           type: number
+ *           example: 16520849211.44
+ *         blocks_found:
+ *           type: integer
+ *           example: 31
+ *           description: Number of blocks found in the window
+ *         share:
+ *           type: number
+ *           nullable: true
+ *           example: 51.67
+ *           description: Percentage of the window's blocks found by this algorithm
+ *         avg_block_time:
+ *           type: integer
+ *           nullable: true
+ *           example: 118
+ *           description: Average time between blocks in seconds
+ *         median_block_time:
+ *           type: integer
+ *           nullable: true
+ *           example: 84
+ *         p90_block_time:
+ *           type: integer
+ *           nullable: true
+ *           example: 271
+ *         stddev_block_time:
+ *           type: number
+ *           nullable: true
+ *           example: 104.2
+ *         target_block_time:
+ *           type: integer
+ *           example: 120
+ *         spacing_ratio:
+ *           type: number
+ *           nullable: true
+ *           example: 0.98
+ *           description: Observed average spacing divided by the target
+ *         longest_gap:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             seconds:
+ *               type: integer
+ *             from_height:
+ *               type: integer
+ *             to_height:
+ *               type: integer
+ *     PoolDistribution:
+ *       type: object
+ *       properties:
+ *         blocks:
+ *           type: integer
+ *         pools:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "2Miners"
+ *               url:
+ *                 type: string
+ *                 nullable: true
+ *               blocks:
+ *                 type: integer
+ *               share:
+ *                 type: number
+ *                 example: 23.5
+ *               flagged:
+ *                 type: boolean
+ *         unknown_blocks:
+ *           type: integer
+ *         unknown_share:
+ *           type: number
+ *           nullable: true
+ *         unknown:
+ *           type: array
+ *           description: Unattributed blocks grouped by payout address
+ *           items:
+ *             type: object
+ *             properties:
+ *               address:
+ *                 type: string
+ *                 nullable: true
+ *               blocks:
+ *                 type: integer
+ *               share:
+ *                 type: number
+ *               flagged:
+ *                 type: boolean
+ *     HistoryPoint:
+ *       type: object
+ *       properties:
+ *         difficulty:
+ *           $ref: '#/components/schemas/RangeSummary'
+ *         hashrate:
+ *           $ref: '#/components/schemas/RangeSummary'
+ *         blocks:
+ *           type: integer
+ *           nullable: true
+ *           description: Blocks found in the bucket; null when the block index did not cover it
+ *     RangeSummary:
+ *       type: object
+ *       nullable: true
+ *       properties:
+ *         avg:
+ *           type: number
+ *         min:
+ *           type: number
+ *         max:
+ *           type: number
+ *     TreasuryFlow:
+ *       type: object
+ *       properties:
+ *         period:
+ *           type: string
+ *           example: "2025-06-01"
+ *           description: UTC day (YYYY-MM-DD) or month (YYYY-MM)
+ *         coinbase:
+ *           $ref: '#/components/schemas/ExactAmount'
+ *         other:
+ *           $ref: '#/components/schemas/ExactAmount'
+ *         received:
+ *           $ref: '#/components/schemas/ExactAmount'
+ *         sent:
+ *           $ref: '#/components/schemas/ExactAmount'
+ *     HealthStatus:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ok, degraded, down]
+ *         block_height:
+ *           type: integer
+ *         tip_age:
+ *           type: integer
+ *           description: Seconds since the best block's timestamp
+ *         peers:
+ *           type: integer
+ *         checks:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 enum: [rpc, sync, tip_age, peers, chain_tips]
+ *               ok:
+ *                 type: boolean
+ *               message:
+ *                 type: string
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *         cache_age_ms:
+ *           type: integer
+ *           nullable: true
+ *           description: Age of the oldest cache entry in milliseconds
+ *     Quorum:
+ *       type: object
+ *       description: Present only when RPC_QUORUM is enabled. Reports which backend node served the figure and whether the other nodes agreed.
+ *       properties:
+ *         node:
+ *           type: string
+ *           example: "primary"
+ *           description: Node that served the response
+ *         nodes:
+ *           type: integer
+ *           description: Nodes queried
+ *         responded:
+ *           type: integer
+ *         agreed:
+ *           type: boolean
+ *           description: False when any responding node diverged beyond the tolerance
+ *         divergent:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               node:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *         failed:
+ *           type: array
+ *           description: Nodes that did not answer
+ *           items:
+ *             type: string
+ *     Error:
+ *       type: object
+ *       properties:
+ *         error:
+ *           type: string
+ *         message:
+ *           type: string
+ *   parameters:
+ *     Unit:
+ *       in: query
+ *       name: unit
+ *       schema:
+ *         type: string
+ *         enum: [mewc, sat]
+ *         default: mewc
+ *       description: Unit for amount fields. Fields ending in `_sat` are always satoshis, so ExactAmount objects keep their exact satoshi string in `value_sat`.
+ *     Amounts:
+ *       in: query
+ *       name: amounts
+ *       schema:
+ *         type: string
+ *         enum: [number, string]
+ *         default: number
+ *       description: Write amounts as JSON numbers (exact decimal literals, which may exceed double precision) or as strings; MEWC strings always have 8 decimal places
+ *     Format:
+ *       in: query
+ *       name: format
+ *       schema:
+ *         type: string
+ *         enum: [json, text, csv]
+ *       description: Response format, overriding the Accept header (application/json, text/plain or text/csv). CSV flattens nested objects into dotted column names such as `meowpow.difficulty`.
+ */
+
+/**
+ * @swagger
+ * /mempool:
+ *   get:
+ *     summary: Get mempool statistics
+ *     description: Returns the node's mempool size, memory usage and relay fee floors, plus a histogram of unconfirmed transactions by fee rate. Histogram buckets start at the minimum relay fee rate and are multiples of it. Cached for MEMPOOL_CACHE_TTL_MS (default 10 seconds) and refreshed on every new block.
+ *     tags: [Mempool]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 size:
+ *                   type: integer
+ *                   example: 42
+ *                   description: Number of transactions
+ *                 bytes:
+ *                   type: integer
+ *                   example: 18340
+ *                 usage:
+ *                   type: integer
+ *                   example: 96544
+ *                   description: Memory usage in bytes
+ *                 max_mempool:
+ *                   type: integer
+ *                   nullable: true
+ *                 min_relay_fee:
+ *                   type: number
+ *                   example: 0.01
+ *                   description: Minimum relay fee in MEWC/kB
+ *                 mempool_min_fee:
+ *                   type: number
+ *                   example: 0.01
+ *                   description: Current mempool admission fee in MEWC/kB
+ *                 total_fees:
+ *                   type: number
+ *                   description: Fees of all unconfirmed transactions in MEWC, or satoshis with unit=sat
+ *                 fee_rate_unit:
+ *                   type: string
+ *                   example: "sat/vB"
+ *                 histogram:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       min_fee_rate:
+ *                         type: number
+ *                       max_fee_rate:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Upper bound (exclusive); null for the open-ended top bucket
+ *                       count:
+ *                         type: integer
+ *                       vsize:
+ *                         type: integer
+ *                       total_fees:
+ *                         type: number
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/mempool", async (req, res) => {
+  try {
+    const data = await getMempoolSummary();
+
+    setCacheAge(res, "mempool");
+    res.json(data);
+  } catch (err) {
+    sendError(res, err, "/mempool", "Unable to fetch mempool");
+  }
+});
+
+/**
+ * @swagger
+ * /fees/estimate:
+ *   get:
+ *     summary: Estimate a fee rate
+ *     description: Returns the fee rate needed to confirm within the given number of blocks, from the node's estimatesmartfee. When the estimator has no data (common on a quiet chain), the rate is derived from the current mempool instead and a note explains how.
+ *     tags: [Mempool]
+ *     parameters:
+ *       - in: query
+ *         name: blocks
+ *         schema:
+ *           type: integer
+ *           default: 6
+ *           minimum: 1
+ *           maximum: 1008
+ *         description: Confirmation target in blocks
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 blocks:
+ *                   type: integer
+ *                   example: 6
+ *                 estimated_blocks:
+ *                   type: integer
+ *                   description: Target the estimate actually applies to
+ *                 fee_rate:
+ *                   type: number
+ *                   example: 0.0125
+ *                   description: Fee rate in MEWC/kB
+ *                 fee_rate_sat_vb:
+ *                   type: number
+ *                   example: 1250
+ *                 source:
+ *                   type: string
+ *                   enum: [estimatesmartfee, mempool]
+ *                 note:
+ *                   type: string
+ *                   description: Present when the estimate comes from the mempool
+ *                 estimator_errors:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Messages from estimatesmartfee when it had no data
+ *       400:
+ *         description: Invalid target
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/fees/estimate", async (req, res) => {
+  try {
+    const blocks = parseIntParam(req.query, "blocks", DEFAULT_TARGET, 1, 1008);
+    const key = `fee_estimate:${blocks}`;
+
+    const data = await cachedFetch(key, () => getFeeEstimate(blocks), {
+      ttl: MEMPOOL_CACHE_TTL_MS,
+      tipBound: true
+    });
+
+    setCacheAge(res, key);
+    res.json(data);
+  } catch (err) {
+    sendError(res, err, "/fees/estimate", "Unable to estimate fees");
+  }
+});
+
+/**
+ * @swagger
+ * /block/{heightOrHash}:
+ *   get:
+ *     summary: Get a block
+ *     description: Returns a normalized block summary including the mining algorithm, confirmations and the coinbase reward split between miner and foundation.
+ *     tags: [Explorer]
+ *     parameters:
+ *       - in: path
+ *         name: heightOrHash
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Block height or 64-character block hash
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 height:
+ *                   type: integer
+ *                   example: 1672942
+ *                 hash:
+ *                   type: string
+ *                 confirmations:
+ *                   type: integer
+ *                 time:
+ *                   type: integer
+ *                 median_time:
+ *                   type: integer
+ *                 version:
+ *                   type: integer
+ *                 version_hex:
+ *                   type: string
+ *                 algo:
+ *                   type: string
+ *                   enum: [meowpow, scrypt, unknown]
+ *                 difficulty:
+ *                   type: number
+ *                 bits:
+ *                   type: string
+ *                 nonce:
+ *                   type: integer
+ *                 size:
+ *                   type: integer
+ *                 weight:
+ *                   type: integer
+ *                 merkle_root:
+ *                   type: string
+ *                 previous_block_hash:
+ *                   type: string
+ *                   nullable: true
+ *                 next_block_hash:
+ *                   type: string
+ *                   nullable: true
+ *                 tx_count:
+ *                   type: integer
+ *                 reward:
+ *                   $ref: '#/components/schemas/Reward'
+ *                 coinbase:
+ *                   type: object
+ *                   properties:
+ *                     txid:
+ *                       type: string
+ *                     outputs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Output'
+ *       400:
+ *         description: Malformed block identifier
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Block not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/block/:heightOrHash", async (req, res) => {
+  try {
+    res.json(await getBlockDetails(req.params.heightOrHash));
+  } catch (err) {
+    sendError(res, err, "/block", "Unable to fetch block");
+  }
+});
+
+/**
+ * @swagger
+ * /block/{heightOrHash}/txs:
+ *   get:
+ *     summary: Get the transactions in a block
+ *     description: Returns a page of normalized transactions from a block. Input values are resolved to calculate fees, which requires the node to run with -txindex.
+ *     tags: [Explorer]
+ *     parameters:
+ *       - in: path
+ *         name: heightOrHash
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Block height or 64-character block hash
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 25
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 height:
+ *                   type: integer
+ *                 hash:
+ *                   type: string
+ *                 algo:
+ *                   type: string
+ *                 tx_count:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 txs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Transaction'
+ *       400:
+ *         description: Malformed block identifier or pagination parameters
+ *       404:
+ *         description: Block or page not found
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/block/:heightOrHash/txs", async (req, res) => {
+  try {
+    const page = parseIntParam(req.query, "page", 1, 1, 1000000);
+    const limit = parseIntParam(req.query, "limit", 25, 1, 100);
+
+    res.json(await getBlockTransactions(req.params.heightOrHash, { page, limit }));
+  } catch (err) {
+    sendError(res, err, "/block/txs", "Unable to fetch block transactions");
+  }
+});
+
+/**
+ * @swagger
+ * /tx/{txid}:
+ *   get:
+ *     summary: Get a transaction
+ *     description: Returns a normalized transaction with resolved inputs, fee, decoded outputs, confirmations and the containing block. Coinbase transactions also include the reward split. Looking up confirmed transactions requires the node to run with -txindex.
+ *     tags: [Explorer]
+ *     parameters:
+ *       - in: path
+ *         name: txid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 64-character transaction id
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Transaction'
+ *                 - type: object
+ *                   properties:
+ *                     confirmations:
+ *                       type: integer
+ *                     block:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         hash:
+ *                           type: string
+ *                         height:
+ *                           type: integer
+ *                         time:
+ *                           type: integer
+ *                         algo:
+ *                           type: string
+ *                     reward:
+ *                       $ref: '#/components/schemas/Reward'
+ *       400:
+ *         description: Malformed transaction id
+ *       404:
+ *         description: Transaction not found
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/tx/:txid", async (req, res) => {
+  try {
+    res.json(await getTransactionDetails(req.params.txid));
+  } catch (err) {
+    sendError(res, err, "/tx", "Unable to fetch transaction");
+  }
+});
+
+/**
+ * @swagger
+ * /address/{address}:
+ *   get:
+ *     summary: Get an address balance
+ *     description: Returns the confirmed balance, total received and total sent for an address. Requires the node to run with -addressindex.
+ *     tags: [Address]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 address:
+ *                   type: string
+ *                 balance:
+ *                   $ref: '#/components/schemas/ExactAmount'
+ *                 received:
+ *                   $ref: '#/components/schemas/ExactAmount'
+ *                 sent:
+ *                   $ref: '#/components/schemas/ExactAmount'
+ *       400:
+ *         description: Invalid address
+ *       501:
+ *         description: Address index not enabled on the node
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/address/:address", async (req, res) => {
+  try {
+    res.json(await getAddressSummary(req.params.address));
+  } catch (err) {
+    sendError(res, err, "/address", "Unable to fetch address balance");
+  }
+});
+
+/**
+ * @swagger
+ * /address/{address}/txs:
+ *   get:
+ *     summary: Get address transaction history
+ *     description: Returns transactions affecting an address within a height range, newest first, with the net change to the address for each. The range defaults to the last 10,000 blocks.
+ *     tags: [Address]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: First block height (inclusive)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Last block height (inclusive), defaults to the tip
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 500
+ *           default: 50
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 address:
+ *                   type: string
+ *                 from:
+ *                   type: integer
+ *                 to:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 txs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       txid:
+ *                         type: string
+ *                       height:
+ *                         type: integer
+ *                       delta:
+ *                         $ref: '#/components/schemas/ExactAmount'
+ *       400:
+ *         description: Invalid address or range
+ *       501:
+ *         description: Address index not enabled on the node
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/address/:address/txs", async (req, res) => {
+  try {
+    const page = parseIntParam(req.query, "page", 1, 1, 1000000);
+    const limit = parseIntParam(req.query, "limit", 50, 1, 500);
+
+    res.json(await getAddressTransactions(req.params.address, {
+      ...parseHeightRange(req.query),
+      page,
+      limit
+    }));
+  } catch (err) {
+    sendError(res, err, "/address/txs", "Unable to fetch address transactions");
+  }
+});
+
+/**
+ * @swagger
+ * /address/{address}/utxos:
+ *   get:
+ *     summary: Get address unspent outputs
+ *     description: Returns the unspent outputs an address holds that were created within a height range, newest first. total_value covers the range only.
+ *     tags: [Address]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: First block height (inclusive); defaults to 10000 blocks below the tip
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Last block height (inclusive), defaults to the tip. At most 10000 blocks per request.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 500
+ *           default: 100
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 address:
+ *                   type: string
+ *                 from:
+ *                   type: integer
+ *                 to:
+ *                   type: integer
+ *                 total_value:
+ *                   $ref: '#/components/schemas/ExactAmount'
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 utxos:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       txid:
+ *                         type: string
+ *                       vout:
+ *                         type: integer
+ *                       height:
+ *                         type: integer
+ *                       script_hex:
+ *                         type: string
+ *                       value:
+ *                         type: number
+ *                       value_sat:
+ *                         type: string
+ *       400:
+ *         description: Invalid address or range
+ *       501:
+ *         description: Address index not enabled on the node
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/address/:address/utxos", async (req, res) => {
+  try {
+    const page = parseIntParam(req.query, "page", 1, 1, 1000000);
+    const limit = parseIntParam(req.query, "limit", 100, 1, 500);
+
+    res.json(await getAddressUtxos(req.params.address, {
+      ...parseHeightRange(req.query),
+      page,
+      limit
+    }));
+  } catch (err) {
+    sendError(res, err, "/address/utxos", "Unable to fetch address UTXOs");
+  }
+});
+
+/**
+ * @swagger
+ * /address/{address}/mempool:
+ *   get:
+ *     summary: Get unconfirmed address activity
+ *     description: Returns mempool entries that credit or debit an address.
+ *     tags: [Address]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 address:
+ *                   type: string
+ *                 pending:
+ *                   $ref: '#/components/schemas/ExactAmount'
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       txid:
+ *                         type: string
+ *                       index:
+ *                         type: integer
+ *                       timestamp:
+ *                         type: integer
+ *                       prev_txid:
+ *                         type: string
+ *                         nullable: true
+ *                       prev_vout:
+ *                         type: integer
+ *                         nullable: true
+ *                       delta:
+ *                         $ref: '#/components/schemas/ExactAmount'
+ *       400:
+ *         description: Invalid address
+ *       501:
+ *         description: Address index not enabled on the node
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/address/:address/mempool", async (req, res) => {
+  try {
+    res.json(await getAddressMempool(req.params.address));
+  } catch (err) {
+    sendError(res, err, "/address/mempool", "Unable to fetch address mempool");
+  }
+});
+
+/**
+ * @swagger
+ * /assets:
+ *   get:
+ *     summary: Search issued assets
+ *     description: Returns issued assets whose names start with the search prefix, in name order.
+ *     tags: [Assets]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Name prefix (case-insensitive)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 search:
+ *                   type: string
+ *                   nullable: true
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 has_more:
+ *                   type: boolean
+ *                 assets:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Asset'
+ *       400:
+ *         description: Invalid search or pagination parameters
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/assets", async (req, res) => {
+  try {
+    const page = parseIntParam(req.query, "page", 1, 1, 1000000);
+    const limit = parseIntParam(req.query, "limit", 50, 1, 200);
+
+    res.json(await listAssets({ search: req.query.search, page, limit }));
+  } catch (err) {
+    sendError(res, err, "/assets", "Unable to fetch assets");
+  }
+});
+
+/**
+ * @swagger
+ * /asset/{name}:
+ *   get:
+ *     summary: Get an asset
+ *     description: Returns an asset's supply, units, reissuability, IPFS hash and holder count. Sub-asset and unique token names contain "/" and "#", which must be URL-encoded (e.g. CAT%2FKITTEN, CAT%231).
+ *     tags: [Assets]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Asset'
+ *                 - type: object
+ *                   properties:
+ *                     holders:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Number of holding addresses, null without -assetindex
+ *       400:
+ *         description: Invalid asset name
+ *       404:
+ *         description: Asset not found
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/asset/:name", async (req, res) => {
+  try {
+    res.json(await getAsset(req.params.name));
+  } catch (err) {
+    sendError(res, err, "/asset", "Unable to fetch asset");
+  }
+});
+
+/**
+ * @swagger
+ * /asset/{name}/holders:
+ *   get:
+ *     summary: Get asset holders
+ *     description: Returns the addresses holding an asset and their balances. Requires the node to run with -assetindex.
+ *     tags: [Assets]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 500
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 name:
+ *                   type: string
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 has_more:
+ *                   type: boolean
+ *                 holders:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       address:
+ *                         type: string
+ *                       balance:
+ *                         type: number
+ *       400:
+ *         description: Invalid asset name or pagination parameters
+ *       404:
+ *         description: Asset not found
+ *       501:
+ *         description: Asset index not enabled on the node
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/asset/:name/holders", async (req, res) => {
+  try {
+    const page = parseIntParam(req.query, "page", 1, 1, 1000000);
+    const limit = parseIntParam(req.query, "limit", 100, 1, 500);
+
+    res.json(await getAssetHolders(req.params.name, { page, limit }));
+  } catch (err) {
+    sendError(res, err, "/asset/holders", "Unable to fetch asset holders");
+  }
+});
+
+/**
+ * @swagger
+ * /address/{address}/assets:
+ *   get:
+ *     summary: Get address asset balances
+ *     description: Returns every asset held by an address. Requires the node to run with -assetindex.
+ *     tags: [Assets]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 address:
+ *                   type: string
+ *                 assets:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                       balance:
+ *                         type: number
+ *       400:
+ *         description: Invalid address
+ *       501:
+ *         description: Asset index not enabled on the node
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/address/:address/assets", async (req, res) => {
+  try {
+    res.json(await getAddressAssets(req.params.address));
+  } catch (err) {
+    sendError(res, err, "/address/assets", "Unable to fetch address assets");
+  }
+});
+
+/**
+ * @swagger
+ * /chain/reorgs:
+ *   get:
+ *     summary: Get recent chain reorganizations
+ *     description: Returns reorg events detected by the chain tip follower, newest first. A reorg is recorded whenever a block previously seen on the active chain is replaced.
+ *     tags: [Chain]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Maximum number of events to return
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tip:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     height:
+ *                       type: integer
+ *                       example: 1672942
+ *                     hash:
+ *                       type: string
+ *                 competing_tips:
+ *                   type: array
+ *                   description: Non-active chain tips reported by getchaintips near the current tip
+ *                   items:
+ *                     type: object
+ *                 reorgs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       detected_at:
+ *                         type: string
+ *                         format: date-time
+ *                       depth:
+ *                         type: integer
+ *                         example: 1
+ *                         description: Number of blocks disconnected from the old chain
+ *                       fork_height:
+ *                         type: integer
+ *                         example: 1672940
+ *                         description: Height of the last common block
+ *                       old_tip:
+ *                         type: object
+ *                         properties:
+ *                           height:
+ *                             type: integer
+ *                           hash:
+ *                             type: string
+ *                       new_tip:
+ *                         type: object
+ *                         properties:
+ *                           height:
+ *                             type: integer
+ *                           hash:
+ *                             type: string
+ *       400:
+ *         description: Invalid limit
+ */
+app.get("/chain/reorgs", (req, res) => {
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({
+      error: "Bad request",
+      message: "limit must be an integer between 1 and 100"
+    });
+  }
+
+  const tip = getChainTip();
+  const competingTips = getChainTips().filter(t =>
+    t.status !== "active" && tip && t.height >= tip.height - 100
+  );
+
+  res.json({
+    tip,
+    competing_tips: competingTips,
+    reorgs: getReorgEvents(limit)
+  });
+});
+
+/**
+ * @swagger
+ * /events:
+ *   get:
+ *     summary: Stream chain events (Server-Sent Events)
+ *     description: |
+ *       Pushes events as they happen, produced once by the server's chain tip follower:
+ *       `block` (height, hash, algo and reward split for every new block), `reorg`, `mempool` (the /mempool summary every EVENTS_MEMPOOL_INTERVAL_MS, default 15 seconds) and `halving` (100000, 10000, 1000, 100, 10 and 1 blocks before a halving, and at the halving itself).
+ *
+ *       Block, reorg and halving events use their height as the SSE id, so a reconnecting EventSource resumes automatically through Last-Event-ID. Resuming replays up to EVENTS_MAX_REPLAY (default 1000) missed blocks from the local block index, preceded by a `resume` event that reports whether the replay is complete.
+ *
+ *       The same events are available over WebSocket at `/ws` with the same query parameters. Messages are JSON text frames: `{"type": "block", "height": 1672943, "data": {...}}`. Clients can change topics by sending `{"action": "subscribe", "topics": ["block"], "since": 1672900}` or `{"action": "unsubscribe", "topics": ["mempool"]}`.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: topics
+ *         schema:
+ *           type: string
+ *           example: "block,reorg"
+ *         description: Comma-separated topics (block, reorg, mempool, halving); all when omitted
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: integer
+ *         description: Last height the client saw; missed events are replayed. Overrides Last-Event-ID.
+ *       - $ref: '#/components/parameters/Unit'
+ *       - $ref: '#/components/parameters/Amounts'
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "id: 1672943\nevent: block\ndata: {\"height\":1672943,\"hash\":\"...\",\"algo\":\"meowpow\",...}\n\n"
+ *       400:
+ *         description: Unknown topic or invalid height
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Rate limit exceeded, or EVENTS_MAX_CLIENTS_PER_IP streams already open for this IP or API key
+ *       503:
+ *         description: Too many connected clients
+ */
+app.get("/events", (req, res) => {
+  let topics;
+  let since;
+  try {
+    topics = parseTopics(req.query.topics);
+    since = parseSince(req.query.since ?? req.get("Last-Event-ID"));
+  } catch (err) {
+    return sendError(res, err, "/events", "Unable to subscribe");
+  }
+
+  const refused = checkClientCapacity(res.locals.client);
+  if (refused) {
+    return res.status(refused.status).json({
+      error: refused.status === 429 ? "Too many requests" : "Service temporarily unavailable",
+      message: refused.message
+    });
+  }
+  handleSse(req, res, {
+    owner: res.locals.client,
+    topics,
+    since,
+    amounts: parseAmountOptions(req.query)
+  });
+});
+
+/**
+ * @swagger
+ * /network:
+ *   get:
+ *     summary: Get network and peer information
+ *     description: Returns the node's version and networking state, aggregates from getpeerinfo (inbound/outbound counts, client versions, peers at the tip), sync progress from getblockchaininfo, and any chain tips competing with the active one. Cached for NETWORK_CACHE_TTL_MS (default 30 seconds).
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 node:
+ *                   type: object
+ *                   properties:
+ *                     version:
+ *                       type: integer
+ *                       example: 20000
+ *                     subversion:
+ *                       type: string
+ *                       example: "/Meowcoin:2.0.0/"
+ *                     protocol_version:
+ *                       type: integer
+ *                     network_active:
+ *                       type: boolean
+ *                     relay_fee:
+ *                       type: number
+ *                       description: Minimum relay fee in MEWC/kB
+ *                     warnings:
+ *                       type: string
+ *                       nullable: true
+ *                 chain:
+ *                   type: object
+ *                   properties:
+ *                     chain:
+ *                       type: string
+ *                       example: "main"
+ *                     blocks:
+ *                       type: integer
+ *                     headers:
+ *                       type: integer
+ *                     best_block_hash:
+ *                       type: string
+ *                     best_block_time:
+ *                       type: integer
+ *                     tip_age:
+ *                       type: integer
+ *                       description: Seconds since the best block's timestamp
+ *                     verification_progress:
+ *                       type: number
+ *                     initial_block_download:
+ *                       type: boolean
+ *                 peers:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     inbound:
+ *                       type: integer
+ *                     outbound:
+ *                       type: integer
+ *                     synced:
+ *                       type: integer
+ *                       description: Peers within one block of the tip
+ *                     avg_ping_ms:
+ *                       type: integer
+ *                       nullable: true
+ *                     versions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           subversion:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                 chain_tips:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     competing:
+ *                       type: array
+ *                       description: Valid non-active tips at or above the active tip height
+ *                       items:
+ *                         type: object
+ *       503:
+ *         description: Service temporarily unavailable
+ */
+app.get("/network", async (req, res) => {
+  try {
+    const data = await cachedFetch("network", getNetworkInfo, { ttl: NETWORK_CACHE_TTL_MS });
+
+    setCacheAge(res, "network");
+    res.json(data);
+  } catch (err) {
+    sendError(res, err, "/network", "Unable to fetch network information");
+  }
+});
+
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: Health check
+ *     description: Tiered readiness check. Returns "ok" when the node is reachable, synced, has a recent tip (HEALTH_MAX_TIP_AGE, default 1800 seconds), enough peers (HEALTH_MIN_PEERS, default 3) and no competing chain tip. Returns "degraded" when any of those checks fails and "down" when RPC is unreachable. Only "ok" responds with 200, so load balancers and service monitors can act on the status code alone.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Service is healthy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthStatus'
+ *       503:
+ *         description: Service is degraded or down
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthStatus'
+ */
+app.get("/health", async (req, res) => {
+  // Never served stale: a health check must not report a node it can no longer reach
+  const health = await cachedFetch("health", getHealthStatus, { ttl: HEALTH_CACHE_TTL_MS, maxStale: 0 });
+  if (health.status !== "ok") {
+    const failed = health.checks.filter(c => !c.ok).map(c => c.name).join(", ");
+    log(`Health check ${health.status}: ${failed}`, "warn");
+  }
+
+  res.set("Cache-Control", "no-store");
+  res.status(health.status === "ok" ? 200 : 503).json({
+    ...health,
+    timestamp: new Date().toISOString(),
+    cache_age_ms: getMaxCacheAge()
+  });
+});
+
+// ==================== METRICS ====================
+
+const chainHeight = gauge("meowapi_chain_height", "Height of the best block");
+const chainTipAge = gauge("meowapi_chain_seconds_since_last_block", "Seconds since the best block's timestamp");
+const chainDifficulty = gauge("meowapi_chain_difficulty", "Current difficulty by algorithm");
+const chainHashrate = gauge("meowapi_chain_hashrate", "Estimated network hash rate in hashes per second by algorithm");
+const supplyTotal = gauge("meowapi_supply_total_mewc", "UTXO-set supply in MEWC");
+const supplyCirculating = gauge("meowapi_supply_circulating_mewc", "Circulating supply in MEWC");
+
+/**
+ * Fetch per-algorithm difficulty and hash rate for the chain gauges
+ * @returns {Promise<Object>} Difficulty and hash rate keyed by algorithm
+ */
+async function fetchChainGauges() {
+  const [meowpowDifficulty, scryptDifficulty, meowpowHashrate, scryptHashrate] = await rpcBatch([
+    ["getdifficulty", [0]],
+    ["getdifficulty", [1]],
+    ["getnetworkhashps", [0, -1, 0]],
+    ["getnetworkhashps", [0, -1, 1]]
+  ]);
+  return {
+    meowpow: { difficulty: meowpowDifficulty, hashrate: meowpowHashrate },
+    scrypt: { difficulty: scryptDifficulty, hashrate: scryptHashrate }
+  };
+}
+
+// Chain gauges are read from the tip follower and existing cache entries;
+// supply is only reported once the warm-up has fetched it, so a scrape never
+// waits on gettxoutsetinfo
+registerCollector(async () => {
+  const tip = getChainTip();
+  chainHeight.set({}, tip?.height);
+  const block = tip ? getIndexedBlock(tip.height) : null;
+  chainTipAge.set({}, block ? Math.max(0, Math.floor(Date.now() / 1000) - block.time) : null);
+
+  const utxoSet = peekCache("utxo_set");
+  const circulating = peekCache("circulating_supply");
+  supplyTotal.set({}, utxoSet ? Number(utxoSet.total_amount) : null);
+  supplyCirculating.set({}, circulating ? Number(formatSats(circulating.circulating_supply)) : null);
+
+  const algos = await cachedFetch("chain_gauges", fetchChainGauges, { tipBound: true });
+  for (const [algo, stats] of Object.entries(algos)) {
+    chainDifficulty.set({ algo }, stats.difficulty);
+    chainHashrate.set({ algo }, stats.hashrate);
+  }
+});
+
+/**
+ * Check a request's Authorization header against a bearer token
+ * @param {Object} req - Express request
+ * @param {string} token - Expected token
+ * @returns {boolean} True if the header carries the token
+ */
+function hasBearerToken(req, token) {
+  const header = req.get("Authorization") || "";
+  const expected = Buffer.from(`Bearer ${token}`);
+  const given = Buffer.from(header);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Check the bearer token for /metrics when METRICS_TOKEN is set
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the request may read metrics
+ */
+function isMetricsAuthorized(req) {
+  return !METRICS_TOKEN || hasBearerToken(req, METRICS_TOKEN);
+}
+
+/**
+ * Serve metrics in the Prometheus text format
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function serveMetrics(req, res) {
+  if (!isMetricsAuthorized(req)) {
+    res.set("WWW-Authenticate", "Bearer");
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: "A valid bearer token is required"
+    });
+  }
+
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.set("Cache-Control", "no-store");
+  res.send(await renderMetrics());
+}
+
+// Prometheus scrape endpoint, unless it has its own port. Not part of the public API docs.
+if (!METRICS_PORT) {
+  app.get("/metrics", serveMetrics);
+}
+
+// ==================== ADMIN ====================
+// API key and webhook management. Not part of the public API docs; requires
+// ADMIN_TOKEN and the bundled nginx config only allows it from the host.
+
+/**
+ * Require the admin bearer token
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(404).json({
+      error: "Not found",
+      message: `Endpoint ${req.path} not found`
+    });
+  }
+  if (!hasBearerToken(req, ADMIN_TOKEN)) {
+    res.set("WWW-Authenticate", "Bearer");
+    return res.status(401).json({
+      error: "Unauthorized",
+      message: "A valid admin bearer token is required"
+    });
+  }
+  next();
+}
+
+// Internal: per-node RPC backend status. Not part of the public API docs;
+// requires ADMIN_TOKEN like the admin endpoints.
+app.get("/internal/rpc-nodes", requireAdmin, (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({
+    quorum: RPC_QUORUM,
+    nodes: getNodeStatus()
+  });
+});
+
+app.get("/admin/keys", requireAdmin, (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ keys: listApiKeys() });
+});
+
+app.post("/admin/keys", requireAdmin, async (req, res) => {
+  try {
+    const { name, tier, limit } = req.body || {};
+    const key = await createApiKey({ name, tier, limit });
+
+    res.set("Cache-Control", "no-store");
+    res.status(201).json(key);
+  } catch (err) {
+    sendError(res, err, "/admin/keys", "Unable to create API key");
+  }
+});
+
+app.delete("/admin/keys/:id", requireAdmin, async (req, res) => {
+  try {
+    res.json(await revokeApiKey(req.params.id));
+  } catch (err) {
+    sendError(res, err, "/admin/keys/:id", "Unable to revoke API key");
+  }
+});
+
+app.get("/admin/webhooks", requireAdmin, (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ webhooks: listWebhooks() });
+});
+
+app.post("/admin/webhooks", requireAdmin, async (req, res) => {
+  try {
+    const { url, conditions, description, unit, amounts } = req.body || {};
+    const webhook = await createWebhook({ url, conditions, description, unit, amounts });
+
+    res.set("Cache-Control", "no-store");
+    res.status(201).json(webhook);
+  } catch (err) {
+    sendError(res, err, "/admin/webhooks", "Unable to create webhook");
+  }
+});
+
+app.delete("/admin/webhooks/:id", requireAdmin, async (req, res) => {
+  try {
+    res.json(await deleteWebhook(req.params.id));
+  } catch (err) {
+    sendError(res, err, "/admin/webhooks/:id", "Unable to delete webhook");
+  }
+});
+
+app.get("/admin/webhooks/:id/deliveries", requireAdmin, (req, res) => {
+  try {
+    const limit = parseIntParam(req.query, "limit", 100, 1, 1000);
+
+    res.set("Cache-Control", "no-store");
+    res.json({ deliveries: getWebhookDeliveries(req.params.id, limit) });
+  } catch (err) {
+    sendError(res, err, "/admin/webhooks/:id/deliveries", "Unable to get webhook deliveries");
+  }
+});
+
+app.post("/admin/webhooks/:id/test", requireAdmin, async (req, res) => {
+  try {
+    res.json(await testWebhook(req.params.id));
+  } catch (err) {
+    sendError(res, err, "/admin/webhooks/:id/test", "Unable to send test event");
+  }
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  log(`Unhandled error: ${err.message}`, "error");
+  res.status(500).json({ 
     error: "Internal server error",
     message: "An unexpected error occurred"
   });
@@ -677,9 +3263,89 @@ app.use((req, res) => {
   });
 });
 
+// Log writes are asynchronous; flush them before exiting on a stop signal
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.on(signal, async () => {
+    log(`Received ${signal}, shutting down`);
+    await flushLogs();
+    process.exit(0);
+  });
+}
+
+/**
+ * Reject a WebSocket upgrade with a plain HTTP response
+ * @param {Object} socket - Network socket
+ * @param {number} status - HTTP status
+ * @param {string} message - Reason
+ * @param {Object} [headers] - Extra response headers
+ */
+function rejectUpgrade(socket, status, message, headers = {}) {
+  const reasons = { 400: "Bad Request", 401: "Unauthorized", 404: "Not Found", 429: "Too Many Requests", 503: "Service Unavailable" };
+  const extra = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join("");
+  socket.end(`HTTP/1.1 ${status} ${reasons[status]}\r\nContent-Type: text/plain\r\n${extra}Connection: close\r\n\r\n${message}\n`);
+}
+
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   log(`Meowcoin API server started on port ${PORT}`);
-  console.log(`Meowcoin API running on port ${PORT}`);
+  startNodeMonitor();
+  if (METRICS_PORT) {
+    const metricsApp = express();
+    metricsApp.get("/metrics", serveMetrics);
+    metricsApp.listen(METRICS_PORT, METRICS_HOST, () => {
+      log(`Metrics available on ${METRICS_HOST}:${METRICS_PORT}/metrics`);
+    });
+  }
+  startIndexer();
+  startTipFollower();
+  detectAddressIndex();
+  startTreasuryTracker();
+  startHistorySampler();
+
+  // Height-dependent responses are refreshed as soon as a new block arrives
+  chainEvents.on("tip", async (tip) => {
+    await syncIndexNow();
+    invalidateTipBound();
+    syncTreasuryNow();
+    handleTipEvent(tip);
+    handleWebhookTip(tip);
+  });
+  chainEvents.on("reorg", (reorg) => {
+    handleReorgEvent(reorg);
+    handleWebhookReorg(reorg);
+  });
+  startEvents();
+  startWebhooks();
+
+  // Pre-populate the slowest keys so the first requests are not cold
+  scheduleWarmup("utxo_set", fetchUtxoSetInfo);
+  scheduleWarmup("circulating_supply", calculateCirculatingSupply);
+  const defaultWindow = parseMiningWindow();
+  scheduleWarmup(`mining_info:${defaultWindow.seconds}`, () => fetchMiningInfo(defaultWindow), { tipBound: true });
 });
 
+// WebSocket event stream, sharing the events produced for /events
+server.on("upgrade", (req, socket) => {
+  const url = new URL(req.url, "http://localhost");
+  if (url.pathname !== "/ws") return rejectUpgrade(socket, 404, "Not found");
+  if (!isWebSocketHandshake(req)) return rejectUpgrade(socket, 400, "Expected a WebSocket version 13 handshake");
+
+  // Upgrades skip the Express stack; give the request Express's helpers so
+  // req.ip honours TRUST_PROXY the same way it does for /events
+  Object.setPrototypeOf(req, app.request);
+  const charge = chargeRequest(req);
+  if (charge.status) return rejectUpgrade(socket, charge.status, charge.message, charge.headers);
+  const refused = checkClientCapacity(charge.id);
+  if (refused) return rejectUpgrade(socket, refused.status, refused.message);
+
+  try {
+    handleWebSocket(req, socket, {
+      owner: charge.id,
+      topics: parseTopics(url.searchParams.get("topics") ?? undefined),
+      since: parseSince(url.searchParams.get("since") ?? undefined),
+      amounts: parseAmountOptions(Object.fromEntries(url.searchParams))
+    });
+  } catch (err) {
+    rejectUpgrade(socket, 400, err.message);
+  }
+});
@@ -0,0 +1,150 @@
+import dotenv from "dotenv";
+import { rpc, rpcQuorum, RPC_QUORUM } from "./rpc.js";
+import { cachedFetch } from "./cache.js";
+import { parseSats, getIssuedSupplySats } from "./consensus.js";
+import { parseAddressList } from "./utils.js";
+
+dotenv.config();
+
+// Provably-unspendable burn addresses
+const BURN_ADDRESSES = parseAddressList(process.env.BURN_ADDRESSES);
+
+// Treasury wallets excluded from circulation (label:address pairs)
+const EXCLUDED_ADDRESSES = parseAddressList(process.env.EXCLUDED_ADDRESSES);
+
+// gettxoutsetinfo walks the whole UTXO set and can take well over a minute
+const UTXO_SET_TIMEOUT_MS = 120000;
+
+// Nodes this many blocks apart still count as agreeing on the height in quorum mode
+const QUORUM_HEIGHT_TOLERANCE = parseInt(process.env.QUORUM_HEIGHT_TOLERANCE || 1, 10);
+
+/**
+ * Fetch the confirmed balance of an address via the address index
+ * @param {string} address - Meowcoin address
+ * @returns {Promise<bigint>} Balance in satoshis
+ */
+async function getAddressBalanceSats(address) {
+  const result = await rpc("getaddressbalance", [{ addresses: [address] }]);
+  if (!result || typeof result.balance === "undefined") {
+    throw new Error(`Invalid response from getaddressbalance for ${address}`);
+  }
+  return BigInt(result.balance);
+}
+
+/**
+ * Fetch UTXO set statistics from the node
+ * @returns {Promise<Object>} gettxoutsetinfo result
+ */
+export async function fetchUtxoSetInfo() {
+  if (RPC_QUORUM) return fetchUtxoSetInfoQuorum();
+
+  const info = await rpc("gettxoutsetinfo", [], { timeout: UTXO_SET_TIMEOUT_MS });
+  if (!info || typeof info.total_amount === "undefined") {
+    throw new Error("Invalid response from gettxoutsetinfo");
+  }
+  return info;
+}
+
+/**
+ * Compare two gettxoutsetinfo results
+ * Heights may differ by QUORUM_HEIGHT_TOLERANCE while a block propagates;
+ * at the same height the supply must match to the satoshi.
+ * @param {Object} reference - Result from the serving node
+ * @param {Object} other - Result from another node
+ * @returns {string|null} Divergence description, or null when they agree
+ */
+function compareUtxoSetInfo(reference, other) {
+  if (!other || typeof other.total_amount === "undefined") {
+    return "invalid gettxoutsetinfo response";
+  }
+  if (Math.abs(other.height - reference.height) > QUORUM_HEIGHT_TOLERANCE) {
+    return `height ${other.height} vs ${reference.height}`;
+  }
+  if (other.height === reference.height && parseSats(other.total_amount) !== parseSats(reference.total_amount)) {
+    return `total_amount ${other.total_amount} vs ${reference.total_amount} at height ${other.height}`;
+  }
+  return null;
+}
+
+/**
+ * Fetch UTXO set statistics from every node and cross-check them
+ * @returns {Promise<Object>} gettxoutsetinfo result with a quorum report
+ */
+async function fetchUtxoSetInfoQuorum() {
+  const { result: info, quorum } = await rpcQuorum("gettxoutsetinfo", [], {
+    timeout: UTXO_SET_TIMEOUT_MS,
+    compare: compareUtxoSetInfo
+  });
+  if (!info || typeof info.total_amount === "undefined") {
+    throw new Error("Invalid response from gettxoutsetinfo");
+  }
+  return { ...info, quorum };
+}
+
+/**
+ * Get UTXO set statistics through the shared cache entry
+ * Total supply, circulating supply and emission comparisons all read the
+ * same gettxoutsetinfo result.
+ * @returns {Promise<Object>} gettxoutsetinfo result
+ */
+export function getUtxoSetInfo() {
+  return cachedFetch("utxo_set", fetchUtxoSetInfo);
+}
+
+/**
+ * Calculate circulating supply with an itemised list of excluded buckets
+ *
+ * Circulating supply is the UTXO-set total minus burn address balances and
+ * configured treasury holdings. Outputs that can never be spent (OP_RETURN,
+ * unclaimed or unspendable coinbase) never enter the UTXO set, so they are
+ * reported for auditing but not subtracted a second time.
+ *
+ * @returns {Promise<Object>} Supply figures and excluded buckets in satoshis
+ */
+export async function calculateCirculatingSupply() {
+  const info = await getUtxoSetInfo();
+
+  const totalSats = parseSats(info.total_amount);
+  const excluded = [];
+  let excludedSats = 0n;
+
+  for (const { address } of BURN_ADDRESSES) {
+    const balance = await getAddressBalanceSats(address);
+    excludedSats += balance;
+    excluded.push({
+      bucket: "burn",
+      address,
+      amount: balance,
+      subtracted: true
+    });
+  }
+
+  for (const { label, address } of EXCLUDED_ADDRESSES) {
+    const balance = await getAddressBalanceSats(address);
+    excludedSats += balance;
+    excluded.push({
+      bucket: "treasury",
+      label,
+      address,
+      amount: balance,
+      subtracted: true
+    });
+  }
+
+  // Issued subsidy that is not present in the UTXO set
+  const unspendableSats = getIssuedSupplySats(info.height) - totalSats;
+  excluded.push({
+    bucket: "unspendable",
+    amount: unspendableSats > 0n ? unspendableSats : 0n,
+    subtracted: false
+  });
+
+  const data = {
+    height: info.height,
+    total_supply: totalSats,
+    circulating_supply: totalSats - excludedSats,
+    excluded
+  };
+  if (info.quorum) data.quorum = info.quorum;
+  return data;
+}
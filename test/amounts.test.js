@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { stringifyWithAmounts, exactAmount } from "../amounts.js";
+
+const MEWC_NUMBER = { unit: "mewc", amounts: "number" };
+const MEWC_STRING = { unit: "mewc", amounts: "string" };
+const SAT_NUMBER = { unit: "sat", amounts: "number" };
+const SAT_STRING = { unit: "sat", amounts: "string" };
+
+test("renders amounts in MEWC as trimmed numbers by default", () => {
+  assert.equal(stringifyWithAmounts({ reward: 250000000000n }, MEWC_NUMBER), '{"reward":2500}');
+  assert.equal(stringifyWithAmounts({ fee: 12345n }, MEWC_NUMBER), '{"fee":0.00012345}');
+  assert.equal(stringifyWithAmounts({ fee: 0n }, MEWC_NUMBER), '{"fee":0}');
+});
+
+test("renders MEWC strings with 8 decimal places", () => {
+  assert.equal(stringifyWithAmounts({ reward: 250000000000n }, MEWC_STRING), '{"reward":"2500.00000000"}');
+});
+
+test("renders satoshis as numbers or strings", () => {
+  assert.equal(stringifyWithAmounts({ reward: 250000000000n }, SAT_NUMBER), '{"reward":250000000000}');
+  assert.equal(stringifyWithAmounts({ reward: 250000000000n }, SAT_STRING), '{"reward":"250000000000"}');
+});
+
+test("keeps amounts beyond the safe integer range exact", () => {
+  const supply = 836182292494586700n;
+  assert.equal(stringifyWithAmounts({ supply }, SAT_NUMBER), '{"supply":836182292494586700}');
+  assert.equal(stringifyWithAmounts({ supply }, MEWC_NUMBER), '{"supply":8361822924.945867}');
+});
+
+test("renders negative amounts", () => {
+  assert.equal(stringifyWithAmounts({ delta: -100000000n }, MEWC_NUMBER), '{"delta":-1}');
+  assert.equal(stringifyWithAmounts({ delta: -1n }, MEWC_STRING), '{"delta":"-0.00000001"}');
+});
+
+test("renders amounts nested in arrays and exact amount objects", () => {
+  const body = { items: [{ amount: exactAmount(150000000n) }, 5n] };
+  assert.equal(
+    stringifyWithAmounts(body, MEWC_NUMBER),
+    '{"items":[{"amount":{"value":1.5,"value_sat":"150000000"}},0.00000005]}'
+  );
+});
+
+test("renders a bare amount and leaves other values alone", () => {
+  assert.equal(stringifyWithAmounts(7n, SAT_STRING), '"7"');
+  assert.equal(stringifyWithAmounts({ height: 1000, name: "CAT", ok: true, none: null }, SAT_NUMBER),
+    '{"height":1000,"name":"CAT","ok":true,"none":null}');
+  assert.equal(stringifyWithAmounts(undefined, SAT_NUMBER), "");
+});
+
+test("does not rewrite strings that look like amount placeholders", () => {
+  const body = { name: "\u0000sat:12", other: "\u0000", amount: 1n };
+  assert.equal(
+    stringifyWithAmounts(body, SAT_NUMBER),
+    '{"name":"\\u0000sat:12","other":"\\u0000","amount":1}'
+  );
+});
@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decodeFrames } from "../events.js";
+
+const MASK = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+
+/**
+ * Encode a masked client frame
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer|string} payload - Payload
+ * @param {{fin?: boolean, masked?: boolean}} [options] - Frame flags
+ * @returns {Buffer} Frame
+ */
+function clientFrame(opcode, payload, { fin = true, masked = true } = {}) {
+  const data = Buffer.from(payload);
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([opcode, data.length]);
+  } else {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  }
+  header[0] = (fin ? 0x80 : 0) | opcode;
+  if (!masked) return Buffer.concat([header, data]);
+
+  header[1] |= 0x80;
+  const body = Buffer.from(data.map((byte, i) => byte ^ MASK[i % 4]));
+  return Buffer.concat([header, MASK, body]);
+}
+
+test("unmasks a text frame", () => {
+  const { frames, rest, error } = decodeFrames(clientFrame(0x1, '{"action":"subscribe"}'));
+  assert.equal(error, null);
+  assert.equal(rest.length, 0);
+  assert.equal(frames.length, 1);
+  assert.equal(frames[0].fin, true);
+  assert.equal(frames[0].opcode, 0x1);
+  assert.equal(frames[0].payload.toString("utf8"), '{"action":"subscribe"}');
+});
+
+test("decodes several frames from one buffer", () => {
+  const buffer = Buffer.concat([clientFrame(0x9, ""), clientFrame(0x1, "hi"), clientFrame(0x8, Buffer.from([0x03, 0xe8]))]);
+  const { frames, rest, error } = decodeFrames(buffer);
+  assert.equal(error, null);
+  assert.equal(rest.length, 0);
+  assert.deepEqual(frames.map(f => f.opcode), [0x9, 0x1, 0x8]);
+  assert.equal(frames[0].payload.length, 0);
+  assert.equal(frames[2].payload.readUInt16BE(0), 1000);
+});
+
+test("decodes a 16-bit extended length", () => {
+  const text = "x".repeat(300);
+  const { frames, error } = decodeFrames(clientFrame(0x1, text));
+  assert.equal(error, null);
+  assert.equal(frames[0].payload.toString("utf8"), text);
+});
+
+test("keeps an incomplete frame for the next chunk", () => {
+  const frame = clientFrame(0x1, "hello");
+  const buffer = Buffer.concat([clientFrame(0x1, "a"), frame.subarray(0, 4)]);
+
+  const first = decodeFrames(buffer);
+  assert.equal(first.error, null);
+  assert.equal(first.frames.length, 1);
+  assert.equal(first.rest.length, 4);
+
+  const second = decodeFrames(Buffer.concat([first.rest, frame.subarray(4)]));
+  assert.equal(second.frames[0].payload.toString("utf8"), "hello");
+  assert.equal(second.rest.length, 0);
+});
+
+test("waits for the extended length bytes", () => {
+  const frame = clientFrame(0x1, "x".repeat(200));
+  const { frames, rest, error } = decodeFrames(frame.subarray(0, 3));
+  assert.equal(error, null);
+  assert.equal(frames.length, 0);
+  assert.equal(rest.length, 3);
+});
+
+test("reports fragmented frames as not final", () => {
+  const { frames } = decodeFrames(clientFrame(0x1, "part", { fin: false }));
+  assert.equal(frames[0].fin, false);
+});
+
+test("rejects unmasked client frames", () => {
+  const { frames, error } = decodeFrames(clientFrame(0x1, "hi", { masked: false }));
+  assert.equal(frames.length, 0);
+  assert.equal(error, "unmasked client frame");
+});
+
+test("rejects frames larger than a client message may be", () => {
+  assert.equal(decodeFrames(clientFrame(0x1, "x".repeat(5000))).error, "frame too large");
+
+  const huge = Buffer.from([0x81, 0x80 | 127, 0, 0, 0, 0, 0, 1, 0, 0]);
+  assert.equal(decodeFrames(huge).error, "frame too large");
+});
+
+test("returns frames decoded before a protocol error", () => {
+  const buffer = Buffer.concat([clientFrame(0x1, "ok"), clientFrame(0x1, "bad", { masked: false })]);
+  const { frames, error } = decodeFrames(buffer);
+  assert.equal(frames.length, 1);
+  assert.equal(frames[0].payload.toString("utf8"), "ok");
+  assert.equal(error, "unmasked client frame");
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getRouteCost, chargeRequest } from "../ratelimit.js";
+
+/**
+ * Build the parts of an Express request the limiter reads
+ * @param {string} path - Request path
+ * @param {string} ip - Client address
+ * @returns {Object} Request stub
+ */
+function request(path, ip) {
+  return { path, ip, get: () => undefined };
+}
+
+test("charges one point for routes without a listed cost", () => {
+  assert.equal(getRouteCost("/total-supply"), 1);
+  assert.equal(getRouteCost("/block/1000"), 1);
+  assert.equal(getRouteCost("/address/MPyNGZSSZ4rbjkVJRLn3v64pMcktpEYJnU"), 1);
+});
+
+test("matches listed routes exactly", () => {
+  assert.equal(getRouteCost("/foundation"), 3);
+  assert.equal(getRouteCost("/foundation/export"), 10);
+  assert.equal(getRouteCost("/foundation/audit"), 10);
+  assert.equal(getRouteCost("/foundation/unknown"), 1);
+  assert.equal(getRouteCost("/mining-infox"), 1);
+});
+
+test("fills route parameters with a single path segment", () => {
+  assert.equal(getRouteCost("/address/MPyNGZSSZ4rbjkVJRLn3v64pMcktpEYJnU/txs"), 5);
+  assert.equal(getRouteCost("/block/1000/txs"), 3);
+  assert.equal(getRouteCost("/asset/CAT/holders"), 5);
+  assert.equal(getRouteCost("/asset/CAT/KITTEN/holders"), 1);
+});
+
+test("ignores case and a trailing slash like Express routing", () => {
+  assert.equal(getRouteCost("/MINING-INFO"), 5);
+  assert.equal(getRouteCost("/mining-info/"), 5);
+  assert.equal(getRouteCost("/Address/MPyN/UTXOS"), 5);
+});
+
+test("escapes regular expression characters in routes", () => {
+  assert.equal(getRouteCost("/mining-info"), 5);
+  assert.equal(getRouteCost("/miningXinfo"), 1);
+});
+
+test("charges event streams for the connection they hold", () => {
+  assert.equal(getRouteCost("/events"), 5);
+  assert.equal(getRouteCost("/ws"), 5);
+});
+
+test("rejects an anonymous client once its points are spent", () => {
+  const ip = "192.0.2.10";
+  const first = chargeRequest(request("/health", ip));
+  assert.equal(first.status, null);
+  assert.equal(first.id, `ip:${ip}`);
+
+  // RATE_LIMIT_ANONYMOUS may be set locally; spend whatever it allows
+  let remaining = Number(first.headers["RateLimit-Remaining"]);
+  while (remaining >= 5) {
+    const charge = chargeRequest(request("/ws", ip));
+    assert.equal(charge.status, null);
+    remaining = Number(charge.headers["RateLimit-Remaining"]);
+  }
+
+  const rejected = chargeRequest(request("/ws", ip));
+  assert.equal(rejected.status, 429);
+  assert.equal(rejected.headers["RateLimit-Remaining"], String(remaining));
+  assert.ok(rejected.headers["Retry-After"]);
+
+  assert.equal(chargeRequest(request("/ws", "192.0.2.11")).status, null);
+});
@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDuration } from "../utils.js";
+
+test("parses seconds, minutes, hours and days", () => {
+  assert.equal(parseDuration("30s"), 30);
+  assert.equal(parseDuration("15m"), 900);
+  assert.equal(parseDuration("24h"), 86400);
+  assert.equal(parseDuration("7d"), 604800);
+});
+
+test("ignores surrounding whitespace", () => {
+  assert.equal(parseDuration(" 1h "), 3600);
+});
+
+test("rejects zero and malformed durations", () => {
+  assert.equal(parseDuration("0h"), null);
+  assert.equal(parseDuration("h"), null);
+  assert.equal(parseDuration("10"), null);
+  assert.equal(parseDuration("1.5h"), null);
+  assert.equal(parseDuration("-1h"), null);
+  assert.equal(parseDuration("1w"), null);
+  assert.equal(parseDuration("1H"), null);
+  assert.equal(parseDuration("1h30m"), null);
+  assert.equal(parseDuration(""), null);
+  assert.equal(parseDuration(undefined), null);
+});
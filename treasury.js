@@ -0,0 +1,552 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { rpc, rpcBatch } from "./rpc.js";
+import { FOUNDATION_ADDRESS, formatSats } from "./consensus.js";
+import { getIssuedSplitSats } from "./emission.js";
+import { getIndexedBlock } from "./blockindex.js";
+import { exactAmount } from "./amounts.js";
+import { csvField } from "./formats.js";
+import { isAddressIndexAvailable, requireAddressIndex } from "./address.js";
+import { log, parseAddressList } from "./utils.js";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const STATE_FILE = path.join(DATA_DIR, "treasury.json");
+
+// Bumped when the saved state gains fields that need a rescan to fill
+const STATE_VERSION = 2;
+
+// Treasury wallets to report (label:address pairs)
+const TREASURY_ADDRESSES = parseAddressList(
+  process.env.FOUNDATION_ADDRESSES || `foundation:${FOUNDATION_ADDRESS}`
+);
+
+// Blocks scanned per getaddressdeltas call
+const DELTA_CHUNK = 10000;
+
+// Only blocks this deep are scanned, so totals never need to be unwound after a reorg
+const FINALITY_DEPTH = 10;
+
+// Spacing of block time samples used to find UTC day boundaries
+const DAY_SAMPLE_STEP = 100;
+
+/**
+ * Treasury scan state, one entry per configured address
+ */
+const Treasury = {
+  addresses: [],
+  syncPromise: null,
+  resyncRequested: false
+};
+
+/**
+ * Create an empty scan state for an address
+ * @param {{label: string|null, address: string}} entry - Configured address
+ * @returns {Object} Scan state
+ */
+function emptyState({ label, address }) {
+  return {
+    label,
+    address,
+    scannedHeight: 0,
+    firstCoinbaseHeight: null,
+    receivedCoinbase: 0n,
+    receivedOther: 0n,
+    sent: 0n,
+    outgoing: [],
+    incoming: [],
+    days: new Map()
+  };
+}
+
+/**
+ * Load saved scan state, keeping only addresses that are still configured
+ */
+function loadState() {
+  const saved = new Map();
+  if (fs.existsSync(STATE_FILE)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(STATE_FILE, "utf8"));
+      if (data.version === STATE_VERSION) {
+        for (const entry of data.addresses || []) saved.set(entry.address, entry);
+      } else {
+        log("Treasury state is from an older version, rescanning", "warn");
+      }
+    } catch (err) {
+      log(`Treasury state unreadable, rescanning: ${err.message}`, "warn");
+    }
+  }
+
+  Treasury.addresses = TREASURY_ADDRESSES.map(configured => {
+    const entry = saved.get(configured.address);
+    if (!entry) return emptyState(configured);
+
+    return {
+      label: configured.label,
+      address: entry.address,
+      scannedHeight: entry.scannedHeight,
+      firstCoinbaseHeight: entry.firstCoinbaseHeight,
+      receivedCoinbase: BigInt(entry.receivedCoinbase),
+      receivedOther: BigInt(entry.receivedOther),
+      sent: BigInt(entry.sent),
+      outgoing: entry.outgoing,
+      incoming: entry.incoming,
+      days: new Map(Object.entries(entry.days).map(([day, [coinbase, other, sent]]) => [
+        day,
+        { coinbase: BigInt(coinbase), other: BigInt(other), sent: BigInt(sent) }
+      ]))
+    };
+  });
+}
+
+/**
+ * Write the scan state to disk
+ */
+async function saveState() {
+  const data = {
+    version: STATE_VERSION,
+    addresses: Treasury.addresses.map(state => ({
+      address: state.address,
+      scannedHeight: state.scannedHeight,
+      firstCoinbaseHeight: state.firstCoinbaseHeight,
+      receivedCoinbase: state.receivedCoinbase.toString(),
+      receivedOther: state.receivedOther.toString(),
+      sent: state.sent.toString(),
+      outgoing: state.outgoing,
+      incoming: state.incoming,
+      days: Object.fromEntries([...state.days].map(([day, b]) => [
+        day,
+        [b.coinbase.toString(), b.other.toString(), b.sent.toString()]
+      ]))
+    }))
+  };
+
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+  const tmpFile = `${STATE_FILE}.tmp`;
+  await fs.promises.writeFile(tmpFile, JSON.stringify(data));
+  await fs.promises.rename(tmpFile, STATE_FILE);
+}
+
+/**
+ * Format a unix timestamp as a UTC date
+ * @param {number} time - Unix timestamp in seconds
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function dayOf(time) {
+  return new Date(time * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Get block timestamps, reading indexed blocks locally
+ * @param {Array<number>} heights - Block heights
+ * @returns {Promise<Map<number, number>>} Timestamps by height
+ */
+async function getBlockTimes(heights) {
+  const times = new Map();
+  const missing = [];
+  for (const height of heights) {
+    const record = getIndexedBlock(height);
+    if (record) times.set(height, record.time);
+    else missing.push(height);
+  }
+
+  if (missing.length > 0) {
+    const hashes = await rpcBatch(missing.map(h => ["getblockhash", [h]]));
+    const headers = await rpcBatch(hashes.map(hash => ["getblockheader", [hash]]));
+    headers.forEach((header, i) => times.set(missing[i], header.time));
+  }
+  return times;
+}
+
+/**
+ * Map block heights to UTC days without fetching every header
+ * Times are sampled every DAY_SAMPLE_STEP blocks and each day change between
+ * two samples is narrowed down by bisection.
+ * @param {Array<number>} heights - Block heights, ascending
+ * @returns {Promise<Map<number, string>>} Day by height
+ */
+async function resolveDays(heights) {
+  const days = new Map();
+  if (heights.length === 0) return days;
+
+  const first = heights[0];
+  const last = heights[heights.length - 1];
+  const samples = [];
+  for (let h = first; h < last; h += DAY_SAMPLE_STEP) samples.push(h);
+  samples.push(last);
+
+  const times = await getBlockTimes(samples);
+  const boundaries = [{ height: first, day: dayOf(times.get(first)) }];
+
+  for (let i = 1; i < samples.length; i++) {
+    let lo = samples[i - 1];
+    let hi = samples[i];
+    const loDay = dayOf(times.get(lo));
+    if (loDay === dayOf(times.get(hi))) continue;
+
+    while (hi - lo > 1) {
+      const mid = Math.floor((lo + hi) / 2);
+      const midTime = (await getBlockTimes([mid])).get(mid);
+      times.set(mid, midTime);
+      if (dayOf(midTime) === loDay) lo = mid;
+      else hi = mid;
+    }
+    boundaries.push({ height: hi, day: dayOf(times.get(hi)) });
+  }
+
+  let b = 0;
+  for (const height of heights) {
+    while (b + 1 < boundaries.length && boundaries[b + 1].height <= height) b++;
+    days.set(height, boundaries[b].day);
+  }
+  return days;
+}
+
+/**
+ * Scan an address's deltas for a height range and add them to its totals
+ * Deltas are netted per transaction, so change returned to the treasury is
+ * not counted as income. Non-coinbase receipts are listed alongside outgoing
+ * transactions so transfers between treasury addresses can be netted out.
+ * @param {Object} state - Address scan state
+ * @param {number} start - First height (inclusive)
+ * @param {number} end - Last height (inclusive)
+ */
+async function scanRange(state, start, end) {
+  const deltas = await rpc("getaddressdeltas", [{ addresses: [state.address], start, end }]);
+
+  const txs = new Map();
+  for (const delta of deltas) {
+    const tx = txs.get(delta.txid) || {
+      txid: delta.txid,
+      height: delta.height,
+      coinbase: delta.blockindex === 0,
+      sats: 0n
+    };
+    tx.sats += BigInt(delta.satoshis);
+    txs.set(delta.txid, tx);
+  }
+
+  const ordered = [...txs.values()].sort((a, b) => a.height - b.height);
+  const days = await resolveDays([...new Set(ordered.map(tx => tx.height))]);
+
+  for (const tx of ordered) {
+    const day = days.get(tx.height);
+    const bucket = state.days.get(day) || { coinbase: 0n, other: 0n, sent: 0n };
+
+    if (tx.sats > 0n && tx.coinbase) {
+      state.receivedCoinbase += tx.sats;
+      bucket.coinbase += tx.sats;
+      if (state.firstCoinbaseHeight === null) state.firstCoinbaseHeight = tx.height;
+    } else if (tx.sats > 0n) {
+      state.receivedOther += tx.sats;
+      bucket.other += tx.sats;
+      state.incoming.push({ txid: tx.txid, height: tx.height, date: day, sats: tx.sats.toString() });
+    } else if (tx.sats < 0n) {
+      state.sent -= tx.sats;
+      bucket.sent -= tx.sats;
+      state.outgoing.push({ txid: tx.txid, height: tx.height, date: day, sats: (-tx.sats).toString() });
+    }
+    state.days.set(day, bucket);
+  }
+}
+
+/**
+ * Scan every configured address up to the finality depth
+ */
+async function syncTreasury() {
+  if (await isAddressIndexAvailable() !== true) return;
+
+  const target = (await rpc("getblockcount")) - FINALITY_DEPTH;
+
+  for (const state of Treasury.addresses) {
+    while (state.scannedHeight < target) {
+      const end = Math.min(state.scannedHeight + DELTA_CHUNK, target);
+      await scanRange(state, state.scannedHeight + 1, end);
+      state.scannedHeight = end;
+      await saveState();
+    }
+  }
+}
+
+/**
+ * Run a scan pass, coalescing overlapping requests into one follow-up pass
+ * @returns {Promise<void>} Resolves when the pass completes
+ */
+function runSync() {
+  if (Treasury.syncPromise) {
+    Treasury.resyncRequested = true;
+    return Treasury.syncPromise;
+  }
+
+  Treasury.syncPromise = (async () => {
+    try {
+      do {
+        Treasury.resyncRequested = false;
+        await syncTreasury();
+      } while (Treasury.resyncRequested);
+    } catch (err) {
+      log(`Treasury scan failed: ${err.message}`, "error");
+    } finally {
+      Treasury.syncPromise = null;
+    }
+  })();
+
+  return Treasury.syncPromise;
+}
+
+/**
+ * Scan new blocks for treasury activity, e.g. when a new tip is seen
+ * @returns {Promise<void>} Resolves when the scan has caught up
+ */
+export function syncTreasuryNow() {
+  return runSync();
+}
+
+/**
+ * Load saved treasury totals and start scanning
+ */
+export function startTreasuryTracker() {
+  loadState();
+  runSync();
+}
+
+/**
+ * Find transfers between treasury addresses
+ * Each address is scanned on its own, so a transaction that moves funds from
+ * one treasury address to another shows up as sent by the first and received
+ * by the second. The amount that stayed inside the treasury is the smaller of
+ * the two sides; the rest went to outside addresses or paid the fee.
+ * @returns {Map<string, {date: string, sats: bigint}>} Amount kept in the treasury by txid
+ */
+function getInternalTransfers() {
+  const sides = new Map();
+  const side = tx => {
+    const entry = sides.get(tx.txid) || { date: tx.date, sent: 0n, received: 0n };
+    sides.set(tx.txid, entry);
+    return entry;
+  };
+  for (const state of Treasury.addresses) {
+    for (const tx of state.outgoing) side(tx).sent += BigInt(tx.sats);
+    for (const tx of state.incoming) side(tx).received += BigInt(tx.sats);
+  }
+
+  const transfers = new Map();
+  for (const [txid, { date, sent, received }] of sides) {
+    if (sent > 0n && received > 0n) {
+      transfers.set(txid, { date, sats: sent < received ? sent : received });
+    }
+  }
+  return transfers;
+}
+
+/**
+ * Sum per-day buckets across addresses, less transfers between them
+ * @param {(day: string) => string} keyOf - Maps a day to its aggregate period
+ * @returns {Array<Object>} Aggregates, oldest first
+ */
+function aggregateFlows(keyOf) {
+  const periods = new Map();
+  const periodOf = day => {
+    const key = keyOf(day);
+    const total = periods.get(key) || { coinbase: 0n, other: 0n, sent: 0n };
+    periods.set(key, total);
+    return total;
+  };
+
+  for (const state of Treasury.addresses) {
+    for (const [day, bucket] of state.days) {
+      const total = periodOf(day);
+      total.coinbase += bucket.coinbase;
+      total.other += bucket.other;
+      total.sent += bucket.sent;
+    }
+  }
+  for (const { date, sats } of getInternalTransfers().values()) {
+    const total = periodOf(date);
+    total.other -= sats;
+    total.sent -= sats;
+  }
+
+  return [...periods.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([period, t]) => ({ period, ...t }));
+}
+
+/**
+ * Get daily inflow and outflow totals across all treasury addresses
+ * @returns {Array<{period: string, coinbase: bigint, other: bigint, sent: bigint}>} Days, oldest first
+ */
+function getDailyFlows() {
+  return aggregateFlows(day => day);
+}
+
+/**
+ * Get monthly inflow and outflow totals across all treasury addresses
+ * @returns {Array<{period: string, coinbase: bigint, other: bigint, sent: bigint}>} Months, oldest first
+ */
+function getMonthlyFlows() {
+  return aggregateFlows(day => day.slice(0, 7));
+}
+
+/**
+ * Get outgoing treasury transactions, newest first
+ * Amounts moved to another treasury address are left out, and transactions
+ * that only moved funds inside the treasury are dropped.
+ * @returns {Array<Object>} Outgoing transactions with their address and label
+ */
+function getOutgoingTransactions() {
+  const internal = new Map(
+    [...getInternalTransfers()].map(([txid, transfer]) => [txid, transfer.sats])
+  );
+
+  return Treasury.addresses
+    .flatMap(state => state.outgoing.map(tx => ({ ...tx, address: state.address, label: state.label })))
+    .map(tx => {
+      // A transfer may be sent from several treasury addresses; the first
+      // ones listed absorb the internal amount
+      const kept = internal.get(tx.txid);
+      if (kept === undefined) return tx;
+      const sats = BigInt(tx.sats);
+      const absorbed = kept < sats ? kept : sats;
+      internal.set(tx.txid, kept - absorbed);
+      return { ...tx, sats: (sats - absorbed).toString() };
+    })
+    .filter(tx => tx.sats !== "0")
+    .sort((a, b) => b.height - a.height);
+}
+
+/**
+ * Build the treasury transparency report
+ * Balances come live from the node; received, sent and per-day figures come
+ * from the scan, which trails the tip by FINALITY_DEPTH blocks. Per-address
+ * figures include transfers between treasury addresses; the totals, flows
+ * and outgoing list do not.
+ * @param {Object} options - Report options
+ * @param {number} options.days - Number of most recent days to list
+ * @param {number} options.outgoingLimit - Number of most recent outgoing transactions to list
+ * @returns {Promise<Object>} Treasury report
+ * @throws {ApiError} 501 when the node runs without -addressindex
+ */
+export async function getTreasuryReport({ days, outgoingLimit }) {
+  await requireAddressIndex();
+
+  const [height, ...balances] = await rpcBatch([
+    ["getblockcount"],
+    ...Treasury.addresses.map(state => ["getaddressbalance", [{ addresses: [state.address] }]])
+  ]);
+
+  const totals = { balance: 0n, coinbase: 0n, other: 0n, sent: 0n };
+  const addresses = Treasury.addresses.map((state, i) => {
+    const balance = BigInt(balances[i].balance);
+    totals.balance += balance;
+    totals.coinbase += state.receivedCoinbase;
+    totals.other += state.receivedOther;
+    totals.sent += state.sent;
+
+    // What consensus says this address should have earned since its first coinbase payout
+    let expectedCoinbase = null;
+    if (state.address === FOUNDATION_ADDRESS && state.firstCoinbaseHeight !== null) {
+      expectedCoinbase = exactAmount(
+        getIssuedSplitSats(state.scannedHeight).foundation -
+        getIssuedSplitSats(state.firstCoinbaseHeight - 1).foundation
+      );
+    }
+
+    return {
+      label: state.label,
+      address: state.address,
+      scanned_height: state.scannedHeight,
+      balance: exactAmount(balance),
+      received: exactAmount(state.receivedCoinbase + state.receivedOther),
+      received_coinbase: exactAmount(state.receivedCoinbase),
+      received_other: exactAmount(state.receivedOther),
+      sent: exactAmount(state.sent),
+      outgoing_count: state.outgoing.length,
+      first_coinbase_height: state.firstCoinbaseHeight,
+      expected_coinbase: expectedCoinbase
+    };
+  });
+
+  for (const { sats } of getInternalTransfers().values()) {
+    totals.other -= sats;
+    totals.sent -= sats;
+  }
+
+  // With no addresses configured there is nothing to scan
+  const scannedHeight = Treasury.addresses.length > 0
+    ? Math.min(...Treasury.addresses.map(state => state.scannedHeight))
+    : height - FINALITY_DEPTH;
+  const flows = period => ({
+    period: period.period,
+    coinbase: exactAmount(period.coinbase),
+    other: exactAmount(period.other),
+    received: exactAmount(period.coinbase + period.other),
+    sent: exactAmount(period.sent)
+  });
+
+  return {
+    height,
+    scanned_height: scannedHeight,
+    synced: scannedHeight >= height - FINALITY_DEPTH,
+    totals: {
+      balance: exactAmount(totals.balance),
+      received: exactAmount(totals.coinbase + totals.other),
+      received_coinbase: exactAmount(totals.coinbase),
+      received_other: exactAmount(totals.other),
+      sent: exactAmount(totals.sent)
+    },
+    addresses,
+    outgoing: getOutgoingTransactions().slice(0, outgoingLimit).map(tx => ({
+      txid: tx.txid,
+      height: tx.height,
+      date: tx.date,
+      label: tx.label,
+      address: tx.address,
+      amount: exactAmount(BigInt(tx.sats))
+    })),
+    daily: getDailyFlows().slice(-days).map(flows),
+    monthly: getMonthlyFlows().map(flows)
+  };
+}
+
+/**
+ * Export treasury activity as CSV for accounting
+ * @param {string} type - "daily", "monthly" or "outgoing"
+ * @returns {Promise<string>} CSV document, amounts in MEWC
+ * @throws {ApiError} 501 when the node runs without -addressindex
+ */
+export async function getTreasuryCsv(type) {
+  await requireAddressIndex();
+
+  let rows;
+  if (type === "outgoing") {
+    rows = [
+      ["date", "height", "txid", "label", "address", "amount_mewc"],
+      ...getOutgoingTransactions().reverse().map(tx => [
+        tx.date, tx.height, tx.txid, tx.label, tx.address, formatSats(BigInt(tx.sats))
+      ])
+    ];
+  } else {
+    const periods = type === "monthly" ? getMonthlyFlows() : getDailyFlows();
+    rows = [
+      [type === "monthly" ? "month" : "date", "coinbase_mewc", "other_mewc", "received_mewc", "sent_mewc"],
+      ...periods.map(p => [
+        p.period,
+        formatSats(p.coinbase),
+        formatSats(p.other),
+        formatSats(p.coinbase + p.other),
+        formatSats(p.sent)
+      ])
+    ];
+  }
+
+  return rows.map(row => row.map(csvField).join(",")).join("\n") + "\n";
+}
@@ -1,10 +1,36 @@
 import fs from "fs";
 import path from "path";
+import dotenv from "dotenv";
+import { AsyncLocalStorage } from "async_hooks";
 import { fileURLToPath } from "url";
 
+dotenv.config();
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// "file" writes logs/api.log and logs/error.log; "stdout" writes JSON lines
+// to stdout/stderr for journald or a container runtime
+const LOG_OUTPUT = process.env.LOG_OUTPUT === "stdout" ? "stdout" : "file";
+
+// Log files are rotated when they reach LOG_MAX_SIZE_MB or, with
+// LOG_ROTATE=daily, when the UTC date changes
+const LOG_MAX_BYTES = parseFloat(process.env.LOG_MAX_SIZE_MB || 50) * 1024 * 1024;
+const LOG_ROTATE = process.env.LOG_ROTATE || "daily";
+const LOG_MAX_FILES = parseInt(process.env.LOG_MAX_FILES || 7, 10);
+
+/**
+ * Per-request context, propagated through async calls made while handling it
+ */
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Open log files, by name
+ */
+const LogFiles = new Map();
+
 /**
  * Ensure logs directory exists
  */
@@ -17,53 +43,228 @@ export function ensureLogsDir() {
 }
 
 /**
- * Log a message to the API log file
- * @param {string} message - Message to log
- * @param {string} level - Log level (info, error, warn)
+ * Get the current UTC date
+ * @returns {string} YYYY-MM-DD
  */
-export function log(message, level = "info") {
-  const logsDir = ensureLogsDir();
-  const timestamp = new Date().toISOString();
-  const logMessage = `[${timestamp}] [${level.toUpperCase()}] ${message}\n`;
-  
+function utcDate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Open an append stream to a log file
+ * @param {string} name - File name inside the logs directory
+ * @returns {Object} Log file state
+ */
+function openLogFile(name) {
+  const file = path.join(ensureLogsDir(), name);
+  let size = 0;
   try {
-    fs.appendFileSync(
-      path.join(logsDir, "api.log"),
-      logMessage
-    );
+    size = fs.statSync(file).size;
   } catch (err) {
-    console.error("Failed to write to log file:", err.message);
+    // New file
   }
-  
-  // Also log errors to error.log
-  if (level === "error") {
+
+  const stream = fs.createWriteStream(file, { flags: "a" });
+  stream.on("error", err => {
+    process.stderr.write(`Failed to write to ${name}: ${err.message}\n`);
+  });
+  return { name, file, stream, size, day: utcDate(), rotating: false, pending: [] };
+}
+
+/**
+ * Delete the oldest rotated copies of a log file beyond LOG_MAX_FILES
+ * @param {Object} logFile - Log file state
+ */
+async function pruneRotated(logFile) {
+  const base = path.basename(logFile.name, ".log");
+  const dir = path.dirname(logFile.file);
+  const rotated = (await fs.promises.readdir(dir))
+    .filter(f => f.startsWith(`${base}-`) && f.endsWith(".log"))
+    .sort();
+
+  for (const old of rotated.slice(0, Math.max(0, rotated.length - LOG_MAX_FILES))) {
+    await fs.promises.unlink(path.join(dir, old)).catch(() => {});
+  }
+}
+
+/**
+ * Rename the current file aside and start a new one
+ * Lines logged while the rename runs are queued and written to the new file.
+ * @param {Object} logFile - Log file state
+ */
+function rotateLogFile(logFile) {
+  logFile.rotating = true;
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const rotatedPath = logFile.file.replace(/\.log$/, `-${stamp}.log`);
+
+  logFile.stream.end(async () => {
     try {
-      fs.appendFileSync(
-        path.join(logsDir, "error.log"),
-        logMessage
-      );
+      await fs.promises.rename(logFile.file, rotatedPath);
+      await pruneRotated(logFile);
     } catch (err) {
-      console.error("Failed to write to error log:", err.message);
+      process.stderr.write(`Failed to rotate ${logFile.name}: ${err.message}\n`);
     }
+
+    const fresh = openLogFile(logFile.name);
+    Object.assign(logFile, { stream: fresh.stream, size: 0, day: fresh.day, rotating: false });
+    const pending = logFile.pending;
+    logFile.pending = [];
+    for (const line of pending) writeLogLine(logFile.name, line);
+  });
+}
+
+/**
+ * Append a line to a log file without blocking, rotating it when due
+ * @param {string} name - File name inside the logs directory
+ * @param {string} line - Line including the trailing newline
+ */
+function writeLogLine(name, line) {
+  let logFile = LogFiles.get(name);
+  if (!logFile) {
+    logFile = openLogFile(name);
+    LogFiles.set(name, logFile);
+  }
+  if (logFile.rotating) {
+    logFile.pending.push(line);
+    return;
+  }
+
+  const dayChanged = LOG_ROTATE === "daily" && logFile.day !== utcDate();
+  const bytes = Buffer.byteLength(line);
+  if (logFile.size > 0 && (dayChanged || logFile.size + bytes > LOG_MAX_BYTES)) {
+    logFile.pending.push(line);
+    rotateLogFile(logFile);
+    return;
+  }
+
+  logFile.size += bytes;
+  logFile.stream.write(line);
+}
+
+/**
+ * Flush and close the log files
+ * Writes are asynchronous, so call this before exiting to keep the last lines.
+ * @returns {Promise<void>} Resolves once everything is written
+ */
+export async function flushLogs() {
+  await Promise.all([...LogFiles.values()].map(logFile =>
+    new Promise(resolve => logFile.stream.end(resolve))
+  ));
+  LogFiles.clear();
+}
+
+/**
+ * Run a function with a request context attached to everything it logs
+ * @param {Object} context - Context, e.g. { request_id }
+ * @param {Function} fn - Function to run
+ * @returns {any} Result of fn
+ */
+export function runWithRequestContext(context, fn) {
+  return requestContext.run({ ...context, rpc_calls: 0 }, fn);
+}
+
+/**
+ * Get the context of the request being handled, if any
+ * @returns {Object|undefined} Request context
+ */
+export function getRequestContext() {
+  return requestContext.getStore();
+}
+
+/**
+ * Log a message as a JSON line
+ * Lines carry the request ID of the request being handled, if any. Errors
+ * also go to error.log (or stderr in stdout mode).
+ * @param {string} message - Message to log
+ * @param {string} level - Log level (error, warn, info, debug)
+ * @param {Object} [fields] - Extra structured fields
+ */
+export function log(message, level = "info", fields = {}) {
+  if (!shouldLog(level)) return;
+
+  const context = requestContext.getStore();
+  const entry = { time: new Date().toISOString(), level, msg: message };
+  if (context) entry.request_id = context.request_id;
+  Object.assign(entry, fields);
+  const line = `${JSON.stringify(entry)}\n`;
+
+  if (LOG_OUTPUT === "stdout") {
+    (level === "error" ? process.stderr : process.stdout).write(line);
+    return;
+  }
+
+  writeLogLine("api.log", line);
+  if (level === "error") {
+    writeLogLine("error.log", line);
   }
 }
 
+let warnedLevel = null;
+
 /**
  * Get log level from environment or default to 'info'
+ * An unrecognised LOG_LEVEL is reported once and falls back to info.
  * @returns {string} Log level
  */
 export function getLogLevel() {
-  return process.env.LOG_LEVEL || "info";
+  const level = process.env.LOG_LEVEL || "info";
+  if (level in LEVELS) return level;
+
+  if (warnedLevel !== level) {
+    warnedLevel = level;
+    process.stderr.write(`Unknown LOG_LEVEL "${level}", using info\n`);
+  }
+  return "info";
 }
 
 /**
  * Check if we should log at the given level
+ * Messages with an unrecognised level are always logged rather than dropped.
  * @param {string} level - Level to check
  * @returns {boolean} True if should log
  */
 export function shouldLog(level) {
-  const currentLevel = getLogLevel();
-  const levels = { error: 0, warn: 1, info: 2, debug: 3 };
-  return (levels[level] || 2) <= (levels[currentLevel] || 2);
+  if (!(level in LEVELS)) return true;
+  return LEVELS[level] <= LEVELS[getLogLevel()];
 }
 
+/**
+ * Parse a duration such as "15m", "1h", "24h" or "7d"
+ * @param {string} value - Duration string
+ * @returns {number|null} Duration in seconds, or null if malformed
+ */
+export function parseDuration(value) {
+  const match = /^(\d+)([smhd])$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const units = { s: 1, m: 60, h: 3600, d: 86400 };
+  const seconds = parseInt(match[1], 10) * units[match[2]];
+  return seconds > 0 ? seconds : null;
+}
+
+/**
+ * Parse a comma-separated address list
+ * Examples:
+ *   "MBurnA,MBurnB" -> [{ label: null, address: "MBurnA" }, { label: null, address: "MBurnB" }]
+ *   "foundation:MPyN..." -> [{ label: "foundation", address: "MPyN..." }]
+ * @param {string} value - Raw environment value
+ * @returns {Array<{label: string|null, address: string}>} Parsed entries
+ */
+export function parseAddressList(value) {
+  if (!value) return [];
+
+  return value
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const sep = entry.indexOf(":");
+      if (sep === -1) {
+        return { label: null, address: entry };
+      }
+      return {
+        label: entry.slice(0, sep).trim(),
+        address: entry.slice(sep + 1).trim()
+      };
+    });
+}
@@ -0,0 +1,649 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { rpcBatch } from "./rpc.js";
+import { FOUNDATION_ADDRESS } from "./consensus.js";
+import { getBlockRecords } from "./blockindex.js";
+import { verifyBlockReward } from "./foundation.js";
+import { getMiningHistory } from "./history.js";
+import { getHealthStatus } from "./network.js";
+import { describeBlock } from "./events.js";
+import { exactAmount, parseAmountOptions, stringifyWithAmounts } from "./amounts.js";
+import { badRequest, notFound } from "./errors.js";
+import { counter } from "./metrics.js";
+import { log, parseDuration } from "./utils.js";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const WEBHOOKS_FILE = path.join(DATA_DIR, "webhooks.json");
+const DELIVERIES_FILE = path.join(DATA_DIR, "webhook-deliveries.ndjson");
+
+// How often stale tip, hash rate and RPC outage conditions are evaluated
+const WEBHOOK_CHECK_MS = parseInt(process.env.WEBHOOK_CHECK_MS || 60000, 10);
+
+// Delivery attempts per event, and the delay before the first retry
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || 6, 10);
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || 30000, 10);
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || 10000, 10);
+
+// Delivery attempts kept in the log
+const WEBHOOK_LOG_SIZE = parseInt(process.env.WEBHOOK_LOG_SIZE || 1000, 10);
+
+const RETRY_MAX_MS = 3600000;
+
+// Blocks checked per new tip; a node catching up would otherwise flood subscribers
+const MAX_BLOCKS_PER_TIP = 100;
+
+const ALGOS = ["meowpow", "scrypt"];
+
+/**
+ * Condition types with their parameter defaults
+ */
+export const WEBHOOK_CONDITIONS = {
+  block: {},
+  reorg: { min_depth: 1 },
+  stale_tip: { minutes: 30 },
+  hashrate_drop: { algo: null, percent: 50, baseline: "24h" },
+  foundation_payment: {},
+  rpc_outage: {}
+};
+
+const webhookDeliveries = counter("meowapi_webhook_deliveries_total", "Webhook delivery attempts by result (delivered, retrying, failed)");
+
+/**
+ * Subscriptions, delivery log and alert state
+ */
+const Webhooks = {
+  subscriptions: new Map(),
+  deliveries: [],
+  deadLines: 0,
+  alerts: new Map(),
+  lastHeight: null,
+  queue: Promise.resolve(),
+  checking: false,
+  loaded: false,
+  timer: null
+};
+
+/**
+ * Ensure the data directory exists
+ */
+function ensureDataDir() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+}
+
+/**
+ * Load subscriptions and the most recent deliveries from disk
+ */
+function loadWebhooks() {
+  Webhooks.loaded = true;
+
+  if (fs.existsSync(WEBHOOKS_FILE)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(WEBHOOKS_FILE, "utf8"));
+      for (const sub of data.subscriptions || []) {
+        Webhooks.subscriptions.set(sub.id, sub);
+      }
+      log(`Loaded ${Webhooks.subscriptions.size} webhook subscriptions`);
+    } catch (err) {
+      log(`Unable to load webhooks from ${WEBHOOKS_FILE}: ${err.message}`, "error");
+    }
+  }
+
+  if (fs.existsSync(DELIVERIES_FILE)) {
+    const lines = fs.readFileSync(DELIVERIES_FILE, "utf8").split("\n").filter(Boolean);
+    for (const line of lines.slice(-WEBHOOK_LOG_SIZE)) {
+      try {
+        Webhooks.deliveries.push(JSON.parse(line));
+      } catch (err) {
+        // A torn final line after a crash is expected; skip it
+      }
+    }
+    Webhooks.deadLines = Math.max(0, lines.length - Webhooks.deliveries.length);
+  }
+}
+
+/**
+ * Persist subscriptions to disk
+ * The file holds signing secrets, so it is only readable by the service user.
+ * @returns {Promise<void>}
+ */
+async function saveWebhooks() {
+  ensureDataDir();
+  const tmpFile = `${WEBHOOKS_FILE}.tmp`;
+  const payload = JSON.stringify({ subscriptions: [...Webhooks.subscriptions.values()] }, null, 2);
+  await fs.promises.writeFile(tmpFile, payload, { mode: 0o600 });
+  await fs.promises.rename(tmpFile, WEBHOOKS_FILE);
+}
+
+/**
+ * Add an attempt to the delivery log
+ * The file is rewritten with only the kept entries once it holds as many
+ * dropped lines as kept ones.
+ * @param {Object} entry - Delivery attempt
+ */
+async function recordDelivery(entry) {
+  Webhooks.deliveries.push(entry);
+  if (Webhooks.deliveries.length > WEBHOOK_LOG_SIZE) {
+    Webhooks.deliveries.shift();
+    Webhooks.deadLines++;
+  }
+
+  try {
+    ensureDataDir();
+    if (Webhooks.deadLines >= WEBHOOK_LOG_SIZE) {
+      const tmpFile = `${DELIVERIES_FILE}.tmp`;
+      await fs.promises.writeFile(tmpFile, Webhooks.deliveries.map(d => JSON.stringify(d)).join("\n") + "\n");
+      await fs.promises.rename(tmpFile, DELIVERIES_FILE);
+      Webhooks.deadLines = 0;
+    } else {
+      await fs.promises.appendFile(DELIVERIES_FILE, JSON.stringify(entry) + "\n");
+    }
+  } catch (err) {
+    log(`Unable to write webhook delivery log: ${err.message}`, "error");
+  }
+}
+
+// ==================== SUBSCRIPTIONS ====================
+
+/**
+ * Validate a condition and fill in parameter defaults
+ * @param {Object|string} condition - Condition, or a bare type name
+ * @returns {Object} Normalized condition
+ * @throws {ApiError} 400 for unknown types or invalid parameters
+ */
+function normalizeCondition(condition) {
+  const input = typeof condition === "string" ? { type: condition } : condition;
+  if (!input || typeof input !== "object" || !(input.type in WEBHOOK_CONDITIONS)) {
+    throw badRequest(`condition type must be one of: ${Object.keys(WEBHOOK_CONDITIONS).join(", ")}`);
+  }
+
+  const normalized = { type: input.type, ...WEBHOOK_CONDITIONS[input.type] };
+  for (const [name, value] of Object.entries(input)) {
+    if (name === "type" || value === undefined) continue;
+    if (!(name in normalized)) {
+      throw badRequest(`${input.type} conditions do not take ${name}`);
+    }
+    normalized[name] = value;
+  }
+
+  const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+  if (normalized.type === "reorg" && !isPositiveInteger(normalized.min_depth)) {
+    throw badRequest("reorg min_depth must be a positive integer");
+  }
+  if (normalized.type === "stale_tip" && !isPositiveInteger(normalized.minutes)) {
+    throw badRequest("stale_tip minutes must be a positive integer");
+  }
+  if (normalized.type === "hashrate_drop") {
+    if (normalized.algo !== null && !ALGOS.includes(normalized.algo)) {
+      throw badRequest("hashrate_drop algo must be meowpow or scrypt");
+    }
+    if (typeof normalized.percent !== "number" || normalized.percent <= 0 || normalized.percent >= 100) {
+      throw badRequest("hashrate_drop percent must be between 0 and 100");
+    }
+    if (parseDuration(normalized.baseline) === null) {
+      throw badRequest("hashrate_drop baseline must be a duration such as 6h or 1d");
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Describe a subscription without its secret
+ * @param {Object} sub - Subscription
+ * @returns {Object} Public subscription details
+ */
+function describeWebhook(sub) {
+  const attempts = Webhooks.deliveries.filter(d => d.subscription_id === sub.id);
+  const last = attempts[attempts.length - 1];
+  return {
+    id: sub.id,
+    url: sub.url,
+    description: sub.description,
+    conditions: sub.conditions,
+    ...parseAmountOptions(sub),
+    created_at: sub.created_at,
+    last_delivery: last
+      ? { at: last.at, event_type: last.event_type, status: last.status, response_status: last.response_status }
+      : null
+  };
+}
+
+/**
+ * Find a subscription by ID
+ * @param {string} id - Subscription ID
+ * @returns {Object} Subscription
+ * @throws {ApiError} 404 if no subscription has this ID
+ */
+function findWebhook(id) {
+  if (!Webhooks.loaded) loadWebhooks();
+  const sub = Webhooks.subscriptions.get(id);
+  if (!sub) {
+    throw notFound(`Webhook ${id} not found`);
+  }
+  return sub;
+}
+
+/**
+ * List webhook subscriptions
+ * @returns {Array<Object>} Subscriptions, oldest first
+ */
+export function listWebhooks() {
+  if (!Webhooks.loaded) loadWebhooks();
+  return [...Webhooks.subscriptions.values()].map(describeWebhook);
+}
+
+/**
+ * Register a webhook subscription
+ * The signing secret is only returned here.
+ * @param {{url: string, conditions: Array<Object|string>, description?: string, unit?: string, amounts?: string}} options - Subscription options; unit and amounts render payload amounts like the query parameters
+ * @returns {Promise<Object>} Subscription details including the secret
+ * @throws {ApiError} 400 for an invalid URL, conditions or amount options
+ */
+export async function createWebhook({ url, conditions, description, unit, amounts } = {}) {
+  if (!Webhooks.loaded) loadWebhooks();
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw badRequest("url must be an absolute http or https URL");
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw badRequest("url must be an absolute http or https URL");
+  }
+  if (!Array.isArray(conditions) || conditions.length === 0) {
+    throw badRequest("conditions must be a non-empty array");
+  }
+  if (description !== undefined && typeof description !== "string") {
+    throw badRequest("description must be a string");
+  }
+  const amountOptions = parseAmountOptions({ unit, amounts });
+
+  const sub = {
+    id: crypto.randomBytes(6).toString("hex"),
+    url: parsed.toString(),
+    description: description?.trim() || null,
+    conditions: conditions.map(normalizeCondition),
+    unit: amountOptions.unit,
+    amounts: amountOptions.amounts,
+    secret: `whsec_${crypto.randomBytes(24).toString("hex")}`,
+    created_at: new Date().toISOString()
+  };
+
+  Webhooks.subscriptions.set(sub.id, sub);
+  await saveWebhooks();
+  log(`Created webhook ${sub.id} for ${parsed.host} (${sub.conditions.map(c => c.type).join(", ")})`);
+  return { ...describeWebhook(sub), secret: sub.secret };
+}
+
+/**
+ * Delete a webhook subscription
+ * Pending retries for it are dropped.
+ * @param {string} id - Subscription ID
+ * @returns {Promise<Object>} Deleted subscription details
+ * @throws {ApiError} 404 if no subscription has this ID
+ */
+export async function deleteWebhook(id) {
+  const sub = findWebhook(id);
+  Webhooks.subscriptions.delete(id);
+  for (const key of Webhooks.alerts.keys()) {
+    if (key.startsWith(`${id}:`)) Webhooks.alerts.delete(key);
+  }
+  await saveWebhooks();
+  log(`Deleted webhook ${sub.id}`);
+  return describeWebhook(sub);
+}
+
+/**
+ * Get the delivery log for a subscription
+ * @param {string} id - Subscription ID
+ * @param {number} limit - Maximum number of attempts
+ * @returns {Array<Object>} Delivery attempts, newest first
+ * @throws {ApiError} 404 if no subscription has this ID
+ */
+export function getWebhookDeliveries(id, limit) {
+  findWebhook(id);
+  return Webhooks.deliveries
+    .filter(d => d.subscription_id === id)
+    .slice(-limit)
+    .reverse();
+}
+
+// ==================== DELIVERY ====================
+
+/**
+ * Sign a payload
+ * Receivers recompute HMAC-SHA256 over "<timestamp>.<body>" with their secret.
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Unix timestamp sent in X-Webhook-Timestamp
+ * @param {string} body - Request body
+ * @returns {string} "sha256=<hex>"
+ */
+function sign(secret, timestamp, body) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check whether a failed response is worth retrying
+ * @param {number} status - HTTP status
+ * @returns {boolean} True for timeouts, rate limiting and server errors
+ */
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * POST an event to a subscriber once and log the attempt
+ * @param {Object} sub - Subscription
+ * @param {Object} event - Event
+ * @param {number} attempt - Attempt number, starting at 1
+ * @param {boolean} retry - Whether a failed attempt may be retried
+ * @returns {Promise<Object>} Logged delivery attempt
+ */
+async function attemptDelivery(sub, event, attempt, retry) {
+  // Subscriptions created before amount options existed get the defaults
+  const body = stringifyWithAmounts(event, parseAmountOptions(sub));
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const start = Date.now();
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    const response = await fetch(sub.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "meowcoin-api-webhooks",
+        "X-Webhook-Id": event.id,
+        "X-Webhook-Event": event.type,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": sign(sub.secret, timestamp, body)
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    responseStatus = response.status;
+    await response.body?.cancel();
+    if (!response.ok) error = `HTTP ${response.status}`;
+  } catch (err) {
+    error = err.name === "TimeoutError" ? `No response within ${WEBHOOK_TIMEOUT_MS}ms` : err.cause?.code || err.message;
+  }
+
+  const retryable = error !== null && (responseStatus === null || isRetryableStatus(responseStatus));
+  const willRetry = retry && retryable && attempt < WEBHOOK_MAX_ATTEMPTS;
+  let status = "delivered";
+  if (error !== null) status = willRetry ? "retrying" : "failed";
+
+  const entry = {
+    at: new Date().toISOString(),
+    subscription_id: sub.id,
+    event_id: event.id,
+    event_type: event.type,
+    attempt,
+    status,
+    response_status: responseStatus,
+    error,
+    duration_ms: Date.now() - start
+  };
+  if (willRetry) {
+    const delay = Math.min(RETRY_MAX_MS, WEBHOOK_RETRY_BASE_MS * Math.pow(2, attempt - 1));
+    entry.next_attempt_at = new Date(Date.now() + delay).toISOString();
+    // Retries live only in this timer; a restart drops them (see README)
+    setTimeout(() => deliver(sub.id, event, attempt + 1), delay).unref();
+  }
+
+  webhookDeliveries.inc({ result: status });
+  if (status === "failed") {
+    log(`Webhook ${sub.id} gave up on ${event.type} event ${event.id}: ${error}`, "warn");
+  }
+  await recordDelivery(entry);
+  return entry;
+}
+
+/**
+ * Deliver an event with retries
+ * A subscription deleted while a retry is pending is skipped.
+ * @param {string} id - Subscription ID
+ * @param {Object} event - Event
+ * @param {number} [attempt] - Attempt number
+ */
+async function deliver(id, event, attempt = 1) {
+  const sub = Webhooks.subscriptions.get(id);
+  if (!sub) return;
+  try {
+    await attemptDelivery(sub, event, attempt, true);
+  } catch (err) {
+    log(`Webhook ${id} delivery error: ${err.message}`, "error");
+  }
+}
+
+/**
+ * Build an event
+ * Retries reuse the event, so its ID lets receivers drop duplicates.
+ * @param {string} type - Event type
+ * @param {Object} data - Event data
+ * @returns {Object} Event
+ */
+function createEvent(type, data) {
+  return {
+    id: `evt_${crypto.randomBytes(8).toString("hex")}`,
+    type,
+    created_at: new Date().toISOString(),
+    data
+  };
+}
+
+/**
+ * Send an event to every subscription with a matching condition
+ * @param {string} type - Condition type
+ * @param {Object} data - Event data
+ * @param {Function} [matches] - Further filter on the subscription's condition
+ */
+function dispatch(type, data, matches = () => true) {
+  const event = createEvent(type, data);
+  for (const sub of Webhooks.subscriptions.values()) {
+    if (sub.conditions.some(c => c.type === type && matches(c))) {
+      deliver(sub.id, event);
+    }
+  }
+}
+
+/**
+ * Send a test event to a subscription and wait for the result
+ * Test events are not retried.
+ * @param {string} id - Subscription ID
+ * @returns {Promise<Object>} Delivery attempt
+ * @throws {ApiError} 404 if no subscription has this ID
+ */
+export function testWebhook(id) {
+  const sub = findWebhook(id);
+  const event = createEvent("test", {
+    message: "Test event from the Meowcoin API",
+    conditions: sub.conditions
+  });
+  return attemptDelivery(sub, event, 1, false);
+}
+
+// ==================== CONDITIONS ====================
+
+/**
+ * Check whether any subscription uses one of the given condition types
+ * @param {...string} types - Condition types
+ * @returns {boolean} True if at least one subscription does
+ */
+function isWatched(...types) {
+  for (const sub of Webhooks.subscriptions.values()) {
+    if (sub.conditions.some(c => types.includes(c.type))) return true;
+  }
+  return false;
+}
+
+/**
+ * Send block and foundation payment events for newly connected blocks
+ * @param {{height: number}} tip - New chain tip
+ */
+async function checkBlocks(tip) {
+  const from = Math.max(
+    Webhooks.lastHeight === null ? tip.height : Webhooks.lastHeight + 1,
+    tip.height - MAX_BLOCKS_PER_TIP + 1
+  );
+
+  if (from <= tip.height && isWatched("block", "foundation_payment")) {
+    for (const record of await getBlockRecords(from, tip.height)) {
+      dispatch("block", describeBlock(record));
+
+      const result = verifyBlockReward(record);
+      if (!result.compliant) {
+        dispatch("foundation_payment", {
+          height: record.height,
+          hash: record.hash,
+          algo: record.algo,
+          foundation_address: FOUNDATION_ADDRESS,
+          foundation_reward: exactAmount(BigInt(result.foundationSats)),
+          expected_foundation_reward: exactAmount(BigInt(result.expectedSats))
+        });
+      }
+    }
+  }
+  Webhooks.lastHeight = tip.height;
+}
+
+/**
+ * Handle a new chain tip from the tip follower
+ * @param {{height: number, hash: string}} tip - New chain tip
+ * @returns {Promise<void>}
+ */
+export function handleWebhookTip(tip) {
+  Webhooks.queue = Webhooks.queue
+    .then(() => checkBlocks(tip))
+    .catch(err => log(`Unable to check blocks for webhooks: ${err.message}`, "error"));
+  return Webhooks.queue;
+}
+
+/**
+ * Handle a reorg from the tip follower
+ * Blocks above the fork point are sent again from the new chain.
+ * @param {Object} reorg - Reorg event from chaintip.js
+ */
+export function handleWebhookReorg(reorg) {
+  Webhooks.queue = Webhooks.queue.then(() => {
+    dispatch("reorg", reorg, c => reorg.depth >= c.min_depth);
+    if (Webhooks.lastHeight !== null) {
+      Webhooks.lastHeight = Math.min(Webhooks.lastHeight, reorg.fork_height);
+    }
+  }).catch(err => log(`Unable to send reorg webhooks: ${err.message}`, "error"));
+}
+
+/**
+ * Send an alert when a condition starts or stops holding
+ * Alerts are edge-triggered: one "firing" event when the condition starts to
+ * hold and one "resolved" event when it clears.
+ * @param {Object} sub - Subscription
+ * @param {string} key - Condition instance key
+ * @param {string} type - Condition type
+ * @param {boolean} firing - Whether the condition holds now
+ * @param {Object} data - Event data
+ */
+function updateAlert(sub, key, type, firing, data) {
+  const alertKey = `${sub.id}:${key}`;
+  if (Boolean(Webhooks.alerts.get(alertKey)) === firing) return;
+  Webhooks.alerts.set(alertKey, firing);
+
+  deliver(sub.id, createEvent(type, { status: firing ? "firing" : "resolved", ...data }));
+}
+
+/**
+ * Measure the drop of an algorithm's hash rate against its recent average
+ * @param {string} algo - "meowpow" or "scrypt"
+ * @param {string} baseline - Averaging period, e.g. "24h"
+ * @param {Object} current - Current hash rates by algorithm
+ * @returns {Object|null} Hash rates and drop percentage, or null without a baseline
+ */
+function measureHashrateDrop(algo, baseline, current) {
+  const now = Math.floor(Date.now() / 1000);
+  const history = getMiningHistory({ algo, from: now - parseDuration(baseline), to: now });
+  const averages = history.points.map(p => p[algo].hashrate?.avg).filter(v => typeof v === "number");
+  if (averages.length === 0 || typeof current[algo] !== "number") return null;
+
+  const average = averages.reduce((a, b) => a + b, 0) / averages.length;
+  if (average <= 0) return null;
+  return {
+    algo,
+    hashrate: current[algo],
+    baseline_hashrate: Math.round(average),
+    baseline,
+    drop_percent: Math.round(((average - current[algo]) / average) * 10000) / 100
+  };
+}
+
+/**
+ * Evaluate the stale tip, hash rate drop and RPC outage conditions
+ * Uses the /health checks, so an outage here is what /health reports as down.
+ */
+async function checkAlerts() {
+  if (Webhooks.checking || !isWatched("stale_tip", "hashrate_drop", "rpc_outage")) return;
+  Webhooks.checking = true;
+  try {
+    const health = await getHealthStatus();
+    const down = health.status === "down";
+
+    let current = null;
+    if (!down && isWatched("hashrate_drop")) {
+      const [meowpow, scrypt] = await rpcBatch([
+        ["getnetworkhashps", [0, -1, 0]],
+        ["getnetworkhashps", [0, -1, 1]]
+      ]);
+      current = { meowpow, scrypt };
+    }
+
+    for (const sub of Webhooks.subscriptions.values()) {
+      for (const condition of sub.conditions) {
+        if (condition.type === "rpc_outage") {
+          const failed = health.checks.find(c => c.name === "rpc");
+          updateAlert(sub, "rpc_outage", "rpc_outage", down, { message: failed?.message ?? null });
+        } else if (condition.type === "stale_tip" && !down) {
+          updateAlert(sub, `stale_tip:${condition.minutes}`, "stale_tip", health.tip_age >= condition.minutes * 60, {
+            block_height: health.block_height,
+            tip_age: health.tip_age,
+            limit_minutes: condition.minutes
+          });
+        } else if (condition.type === "hashrate_drop" && current) {
+          for (const algo of condition.algo ? [condition.algo] : ALGOS) {
+            const drop = measureHashrateDrop(algo, condition.baseline, current);
+            if (!drop) continue;
+            const key = `hashrate_drop:${algo}:${condition.percent}:${condition.baseline}`;
+            updateAlert(sub, key, "hashrate_drop", drop.drop_percent >= condition.percent, {
+              ...drop,
+              limit_percent: condition.percent
+            });
+          }
+        }
+      }
+    }
+  } catch (err) {
+    log(`Webhook condition check failed: ${err.message}`, "error");
+  } finally {
+    Webhooks.checking = false;
+  }
+}
+
+/**
+ * Load subscriptions and start evaluating conditions
+ */
+export function startWebhooks() {
+  if (Webhooks.timer) return;
+  if (!Webhooks.loaded) loadWebhooks();
+  Webhooks.timer = setInterval(checkAlerts, WEBHOOK_CHECK_MS);
+}